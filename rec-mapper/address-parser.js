@@ -1,8 +1,12 @@
 /**
- * Address Parser - Text extraction and Google Maps link detection
- * We let Google Maps handle the actual address parsing/matching
+ * Address Parser - Text extraction, postal-address detection and map link parsing
+ * Finds the most address-like span in a card so names, phones and prices stay
+ * out of geocoding queries; the geocoder still does the final matching
  */
 
+// Street types that end a street line ("Main Street", "Elm Ave")
+const STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Way|Court|Ct|Place|Pl|Terrace|Ter|Parkway|Pkwy|Highway|Hwy|Circle|Cir|Square|Sq|Trail|Trl|Crescent|Cres|Close|Grove|Gardens|Row|Mews|Parade|Pde|Esplanade|Loop|Pike|Alley|Plaza|Broadway';
+
 const AddressParser = {
   // Google Maps URL patterns
   googleMapsPatterns: [
@@ -20,6 +24,29 @@ const AddressParser = {
     /google\.com\/maps\/search\/([^\/\?]+)/i
   ],
 
+  // Map links that carry coordinates; each captures (lat, lng) and is matched
+  // against the decoded URL
+  mapLinkCoordinatePatterns: [
+    // google.com/maps/place/Name/data=...!3d40.71!4d-74.00 (the place pin itself)
+    /google\.[a-z.]+\/maps\/.*!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/i,
+    // google.com/maps/@40.71,-74.00,15z or /maps/place/Name/@40.71,-74.00,17z
+    /google\.[a-z.]+\/maps\/.*@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/i,
+    // google.com/maps?q=40.71,-74.00 or maps.google.com/?q=40.71,-74.00 (also ll=, query=, destination=, daddr=)
+    /(?:maps\.google\.[a-z.]+\/|google\.[a-z.]+\/maps).*[?&](?:q|ll|query|destination|daddr)=(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/i,
+    // maps.apple.com/?ll=40.71,-74.00 (also q=, sll=, coordinate=, daddr=)
+    /maps\.apple\.com\/.*[?&](?:ll|q|sll|coordinate|daddr)=(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/i,
+    // openstreetmap.org/?mlat=40.71&mlon=-74.00, with the parameters in either order
+    /openstreetmap\.org\/(?=.*[?&]mlat=(-?\d+(?:\.\d+)?))(?=.*[?&]mlon=(-?\d+(?:\.\d+)?))/i,
+    // openstreetmap.org/#map=15/40.71/-74.00
+    /openstreetmap\.org\/.*#map=\d+\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/i,
+    // bing.com/maps?cp=40.71~-74.00
+    /bing\.com\/maps.*[?&]cp=(-?\d+(?:\.\d+)?)~(-?\d+(?:\.\d+)?)/i,
+    // waze.com/ul?ll=40.71,-74.00 (also latlng=)
+    /waze\.com\/.*[?&](?:ll|latlng)=(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/i,
+    // geo:40.71,-74.00 (RFC 5870)
+    /^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/i
+  ],
+
   /**
    * Check if a URL is a Google Maps link
    */
@@ -51,6 +78,60 @@ const AddressParser = {
     return null;
   },
 
+  /**
+   * Extract coordinates from a Google, Apple, OpenStreetMap, Bing or Waze
+   * map link, or a geo: URI
+   * @returns {{ lat: number, lng: number }|null}
+   */
+  extractCoordinatesFromUrl(url) {
+    if (!url) return null;
+
+    let decoded = url.replace(/\+/g, ' ');
+    try {
+      decoded = decodeURIComponent(decoded);
+    } catch (e) {
+      // Keep the raw URL if it has stray % signs
+    }
+
+    for (const pattern of this.mapLinkCoordinatePatterns) {
+      const match = decoded.match(pattern);
+      if (!match) continue;
+
+      const lat = parseFloat(match[1]);
+      const lng = parseFloat(match[2]);
+      // 0,0 is a placeholder (e.g. geo:0,0?q=address), not a real location
+      if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && !(lat === 0 && lng === 0)) {
+        return { lat, lng };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Find the first link in an element whose URL carries coordinates
+   */
+  findCoordinateLink(element) {
+    if (!element) return null;
+
+    const links = element.tagName === 'A' && element.href ?
+      [element, ...element.querySelectorAll('a[href]')] :
+      Array.from(element.querySelectorAll('a[href]'));
+
+    for (const link of links) {
+      const coordinates = this.extractCoordinatesFromUrl(link.href);
+      if (coordinates) {
+        return {
+          url: link.href,
+          text: link.textContent?.trim() || '',
+          coordinates
+        };
+      }
+    }
+
+    return null;
+  },
+
   /**
    * Extract clean text from an element, stripping HTML
    */
@@ -63,6 +144,9 @@ const AddressParser = {
     // Remove script and style elements
     clone.querySelectorAll('script, style, noscript, svg, img').forEach(el => el.remove());
 
+    // Keep block boundaries so adjacent lines don't run together
+    clone.querySelectorAll(this.blockElements).forEach(el => el.after('\n'));
+
     // Get text content and normalize whitespace
     let text = clone.textContent || clone.innerText || '';
 
@@ -73,11 +157,270 @@ const AddressParser = {
       .replace(/\s+/g, ' ')
       .replace(/,\s*,/g, ',')
       .replace(/,\s*$/g, '')
+      .replace(/^\s*,\s*/, '')
       .trim();
 
     return text;
   },
 
+  blockElements: 'br, p, div, li, dd, dt, h1, h2, h3, h4, h5, h6, tr, td, th, address, section, article',
+
+  // Postal-address components, scored when found in a candidate span
+  addressPatterns: {
+    street: {
+      score: 3,
+      pattern: new RegExp(String.raw`\b\d{1,6}[A-Za-z]?(?:[-\/]\d{1,4})?\s+(?:[NSEW]\.?\s+)?(?:[A-Za-z0-9'.-]+\s+){0,4}?(?:${STREET_TYPES})\b\.?(?:\s+(?:[NSEW]|NE|NW|SE|SW)\b\.?)?`, 'i')
+    },
+    // 12 rue de la Paix / 3 avenue Foch
+    streetFr: {
+      score: 3,
+      pattern: /\b\d{1,4}(?:\s?(?:bis|ter))?,?\s+(?:rue|avenue|av\.|boulevard|bd|chemin|place|allée|impasse|quai|route|cours)\s+[^,\d]{2,40}/i
+    },
+    // Via Roma 12 / Calle Mayor 5 / Rua Augusta 20
+    streetSouth: {
+      score: 3,
+      pattern: /\b(?:via|viale|piazza|corso|calle|avenida|avda\.|plaza|paseo|carrer|rua|largo|travessa)\s+[^,\d]{2,40}?,?\s*\d{1,4}[a-z]?\b/i
+    },
+    // Hauptstraße 5 / Kerkstraat 12 / Storgatan 3
+    streetNorth: {
+      score: 3,
+      pattern: /[\p{L}.-]*(?:straße|strasse|str\.|weg|gasse|platz|allee|ring|damm|ufer|laan|straat|plein|gracht|kade|vej|gade|gatan|vägen|gate|veien)\s+\d{1,4}[a-z]?\b/iu
+    },
+    unit: {
+      score: 1,
+      pattern: /(?:\b(?:apt|apartment|suite|ste|unit|floor|fl|bldg|building|room|rm)\.?\s*#?|#)\s*[\w-]{1,6}\b/i
+    },
+    poBox: {
+      score: 2,
+      pattern: /\b(?:p\.?\s?o\.?\s+box|postfach|boîte postale)\s+\d+/i
+    },
+    usCityStateZip: {
+      score: 4,
+      country: 'US',
+      pattern: /\b([A-Z][A-Za-z.'-]*(?:\s+[A-Z][A-Za-z.'-]*){0,3}),?\s+(A[LKZR]|C[AOT]|D[EC]|FL|GA|HI|I[DLNA]|K[SY]|LA|M[EDAINSOT]|N[EVHJMYCD]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[TA]|W[AVIY])\.?\s+(\d{5}(?:-\d{4})?)\b/
+    },
+    usCityState: {
+      score: 2,
+      country: 'US',
+      pattern: /\b([A-Z][A-Za-z.'-]*(?:\s+[A-Z][A-Za-z.'-]*){0,3}),\s*(A[LKZR]|C[AOT]|D[EC]|FL|GA|HI|I[DLNA]|K[SY]|LA|M[EDAINSOT]|N[EVHJMYCD]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[TA]|W[AVIY]|Alabama|Alaska|Arizona|Arkansas|California|Colorado|Connecticut|Delaware|Florida|Georgia|Hawaii|Idaho|Illinois|Indiana|Iowa|Kansas|Kentucky|Louisiana|Maine|Maryland|Massachusetts|Michigan|Minnesota|Mississippi|Missouri|Montana|Nebraska|Nevada|New Hampshire|New Jersey|New Mexico|New York|North Carolina|North Dakota|Ohio|Oklahoma|Oregon|Pennsylvania|Rhode Island|South Carolina|South Dakota|Tennessee|Texas|Utah|Vermont|Virginia|Washington|West Virginia|Wisconsin|Wyoming)\b/
+    },
+    ukPostcode: {
+      score: 4,
+      country: 'GB',
+      pattern: /\b(?:([A-Z][A-Za-z'-]+(?:\s+[A-Z][A-Za-z'-]+){0,2}),?\s+)?((?:GIR 0AA|[A-PR-UWYZ][A-HK-Y]?\d[A-Z\d]?\s*\d[ABD-HJLNP-UW-Z]{2}))\b/
+    },
+    caPostcode: {
+      score: 4,
+      country: 'CA',
+      pattern: /\b(?:([A-Z][A-Za-z.'-]+(?:\s+[A-Z][A-Za-z.'-]+){0,2}),?\s+)?(?:(AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT)\.?,?\s+)?([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]\s?\d[ABCEGHJ-NPRSTV-Z]\d)\b/
+    },
+    auStatePostcode: {
+      score: 4,
+      country: 'AU',
+      pattern: /\b([A-Z][A-Za-z'-]+(?:\s+[A-Z][A-Za-z'-]+){0,2}),?\s+(NSW|VIC|QLD|SA|WA|TAS|NT|ACT)\s+(\d{4})\b/
+    },
+    // 10115 Berlin / 75008 Paris / D-80331 München / 1012 AB Amsterdam.
+    // Only counted next to a European street or country (see hasEuropeanContext)
+    euPostcodeCity: {
+      score: 3,
+      pattern: /\b(?:[A-Z]{1,2}-)?(\d{4,5}(?:\s?[A-Z]{2}(?=\s))?)\s+(\p{Lu}[\p{L}'-]+(?:[\s-]\p{L}[\p{L}'-]+){0,2})/u
+    },
+    country: {
+      score: 1,
+      pattern: /\b(USA|U\.S\.A\.|United States|UK|United Kingdom|England|Scotland|Wales|Canada|Australia|Germany|Deutschland|France|Italy|Italia|Spain|España|Netherlands|Nederland|Belgium|België|Belgique|Austria|Österreich|Switzerland|Schweiz|Suisse|Ireland|Portugal|Sweden|Sverige|Denmark|Danmark|Norway|Norge)\b/
+    }
+  },
+
+  // European countries, for telling "10115 Berlin" from "2000 Riverside"
+  europeanCountryPattern: /\b(?:Germany|Deutschland|France|Italy|Italia|Spain|España|Netherlands|Nederland|Belgium|België|Belgique|Austria|Österreich|Switzerland|Schweiz|Suisse|Portugal|Sweden|Sverige|Denmark|Danmark|Norway|Norge)\b/,
+
+  // A whole word that is a street type
+  streetTypeWord: new RegExp(`^(?:${STREET_TYPES})\\.?$`, 'i'),
+
+  // Fragments that indicate the span is not (only) an address
+  noisePatterns: [
+    { penalty: 2, pattern: /(?:\+\d{1,3}[\s.-]?)?\(\d{2,4}\)\s?\d{3,4}[\s.-]?\d{3,4}|\b\d{3}[.-]\d{3}[.-]\d{4}\b/ },
+    { penalty: 3, pattern: /\b[\w.+-]+@[\w-]+\.[\w.]+\b|https?:\/\/|www\./i },
+    { penalty: 2, pattern: /[$£€]\s?\d/ },
+    { penalty: 1, pattern: /\b(?:open|closed|hours|mon|tue|wed|thu|fri|sat|sun)[a-z]*\b.*\d{1,2}(?::\d{2})?\s*(?:am|pm)/i },
+    { penalty: 1, pattern: /\b(?:reviews?|rating|stars?|miles?|km)\b/i }
+  ],
+
+  /**
+   * Find the most address-like span in free text.
+   * Candidates are runs of consecutive comma-separated parts; each is scored
+   * for street, unit, city/region/postcode and country patterns, minus noise.
+   * @returns {{ address: string, confidence: number, score: number, country: string|null,
+   *   components: string[], locality: string|null, region: string|null, postcode: string|null }|null}
+   */
+  findAddress(text) {
+    if (!text) return null;
+
+    const segments = text
+      .split(/\s*(?:[|•·—–;]|\s{3,}|\n)\s*/)
+      .map(s => s.trim())
+      .filter(Boolean);
+
+    let best = null;
+
+    segments.forEach(segment => {
+      const parts = segment.split(/\s*,\s*/).filter(Boolean);
+
+      for (let i = 0; i < parts.length; i++) {
+        for (let j = i; j < Math.min(parts.length, i + 6); j++) {
+          const span = parts.slice(i, j + 1).join(', ');
+          this.getSpanVariants(span).forEach(variant => {
+            const candidate = this.scoreAddressSpan(variant);
+            if (candidate && (!best || candidate.score > best.score ||
+                (candidate.score === best.score && candidate.address.length < best.address.length))) {
+              best = candidate;
+            }
+          });
+        }
+      }
+    });
+
+    if (!best || best.score < 3) return null;
+
+    best.confidence = Math.min(1, Math.round((best.score / 8) * 100) / 100);
+    return best;
+  },
+
+  /**
+   * A span plus versions with leading words trimmed, so business names
+   * ("Sunset Park 123 Main St", "Bakery Kerkstraat 12") can be cut off.
+   * Only spans whose first part holds a number are trimmed.
+   */
+  getSpanVariants(span) {
+    const variants = [span];
+    const firstPart = span.split(',')[0];
+    if (!/\d/.test(firstPart)) return variants;
+
+    const numberStart = span.search(/(?:^|\s)\d{1,6}[A-Za-z]?\s+\S/);
+    if (numberStart > 0) {
+      variants.push(span.slice(numberStart).trim());
+    }
+
+    const words = firstPart.trim().split(/\s+/);
+    for (let drop = 1; drop <= Math.min(3, words.length - 1); drop++) {
+      variants.push(span.slice(span.indexOf(words[drop], words.slice(0, drop).join(' ').length)).trim());
+    }
+
+    return variants;
+  },
+
+  /**
+   * Score one candidate span
+   */
+  scoreAddressSpan(span) {
+    if (span.length < 5 || span.length > 200) return null;
+
+    let score = 0;
+    let country = null;
+    let locality = null;
+    let region = null;
+    let postcode = null;
+    const components = [];
+    const covered = [];
+
+    Object.entries(this.addressPatterns).forEach(([name, { score: points, pattern, country: patternCountry }]) => {
+      // Weaker variants don't add to a stronger match of the same kind
+      if (name === 'usCityState' && components.includes('usCityStateZip')) return;
+      if (name.startsWith('street') && components.some(c => c.startsWith('street'))) return;
+      // A bare "2000 Riverside" or "1998 Best Pizza" is a street number or a year
+      if (name === 'euPostcodeCity' && !this.hasEuropeanContext(span, components)) return;
+
+      const match = span.match(pattern);
+      if (!match) return;
+
+      score += points;
+      components.push(name);
+      covered.push([match.index, match.index + match[0].length]);
+
+      if (patternCountry && !country) country = patternCountry;
+
+      switch (name) {
+        case 'usCityStateZip':
+        case 'auStatePostcode':
+          locality = locality || match[1];
+          region = region || match[2];
+          postcode = postcode || match[3];
+          break;
+        case 'usCityState':
+          locality = locality || match[1];
+          region = region || match[2];
+          break;
+        case 'ukPostcode':
+          locality = locality || match[1] || null;
+          postcode = postcode || match[2];
+          break;
+        case 'caPostcode':
+          locality = locality || match[1] || null;
+          region = region || match[2] || null;
+          postcode = postcode || match[3];
+          break;
+        case 'euPostcodeCity':
+          postcode = postcode || match[1];
+          locality = locality || match[2];
+          break;
+      }
+    });
+
+    if (score === 0) return null;
+
+    this.noisePatterns.forEach(({ penalty, pattern }) => {
+      if (pattern.test(span)) score -= penalty;
+    });
+
+    // Parts that no component explains are probably names or descriptions
+    let offset = 0;
+    span.split(', ').forEach(part => {
+      const start = offset;
+      const end = offset + part.length;
+      offset = end + 2;
+      const explained = covered.some(([from, to]) => from < end && to > start);
+      if (!explained) score -= 0.5;
+    });
+
+    return {
+      address: span,
+      score,
+      country,
+      components,
+      locality: this.trimLocality(locality),
+      region,
+      postcode
+    };
+  },
+
+  /**
+   * Whether a span has a European street or country, and no US, UK, Canadian
+   * or Australian component, so a number and a capitalized word can be read
+   * as a postcode and city
+   */
+  hasEuropeanContext(span, components) {
+    if (components.some(name => this.addressPatterns[name].country)) return false;
+    return components.some(name => ['streetFr', 'streetSouth', 'streetNorth'].includes(name)) ||
+      this.europeanCountryPattern.test(span);
+  },
+
+  /**
+   * Drop a street line that ran into the city name for lack of a comma:
+   * "Main Street Portland" -> "Portland", "Main St NW Washington" -> "Washington".
+   * A leading "St" as in "St Louis" stays.
+   */
+  trimLocality(locality) {
+    if (!locality) return null;
+
+    const words = locality.trim().split(/\s+/);
+    let start = 0;
+    words.forEach((word, i) => {
+      if (i > 0 && i < words.length - 1 && this.streetTypeWord.test(word)) start = i + 1;
+    });
+    while (start > 0 && start < words.length - 1 && /^(?:[NSEW]|NE|NW|SE|SW)\.?$/.test(words[start])) start++;
+    return words.slice(start).join(' ');
+  },
+
   /**
    * Check if an element contains a Google Maps link
    */
@@ -109,10 +452,32 @@ const AddressParser = {
   },
 
   /**
-   * Get the best text content from an element
-   * Prioritizes Google Maps links, then falls back to text extraction
+   * Get the best address for an element, with coordinates attached when a
+   * map link in it carries them so the item can skip geocoding
    */
   getBestAddress(element) {
+    const result = this.getBestAddressText(element);
+    const coordinateLink = this.findCoordinateLink(element);
+    if (!coordinateLink) return result;
+
+    const { lat, lng } = coordinateLink.coordinates;
+    return {
+      ...result,
+      address: result?.address || this.extractFromGoogleMapsUrl(coordinateLink.url) || `${lat}, ${lng}`,
+      type: 'map-link',
+      url: coordinateLink.url,
+      original: result?.original || coordinateLink.text,
+      confidence: 1,
+      coordinates: { lat, lng, source: 'link' }
+    };
+  },
+
+  /**
+   * Get the best text content from an element
+   * Prioritizes Google Maps links, then a recognized postal address,
+   * then falls back to text extraction
+   */
+  getBestAddressText(element) {
     // First check for Google Maps links
     const mapsLink = this.findGoogleMapsLink(element);
     if (mapsLink) {
@@ -123,7 +488,8 @@ const AddressParser = {
           address: fromUrl,
           type: 'google-maps-link',
           url: mapsLink.url,
-          original: mapsLink.text || fromUrl
+          original: mapsLink.text || fromUrl,
+          confidence: 1
         };
       }
       // Fall back to link text if we can't parse the URL
@@ -132,7 +498,8 @@ const AddressParser = {
           address: mapsLink.text,
           type: 'google-maps-link',
           url: mapsLink.url,
-          original: mapsLink.text
+          original: mapsLink.text,
+          confidence: 1
         };
       }
     }
@@ -144,12 +511,28 @@ const AddressParser = {
       return null;
     }
 
+    // Prefer a recognized postal address over the whole card text
+    const recognized = this.findAddress(fullText);
+    if (recognized) {
+      return {
+        address: recognized.address,
+        type: 'address',
+        original: fullText,
+        confidence: recognized.confidence,
+        country: recognized.country,
+        locality: recognized.locality,
+        region: recognized.region,
+        postcode: recognized.postcode
+      };
+    }
+
     // If the text is reasonable length, just use it
     if (fullText.length <= 200) {
       return {
         address: fullText,
         type: 'text',
-        original: fullText
+        original: fullText,
+        confidence: 0
       };
     }
 
@@ -169,7 +552,8 @@ const AddressParser = {
       return {
         address: best,
         type: 'text',
-        original: fullText
+        original: fullText,
+        confidence: 0
       };
     }
 
@@ -177,10 +561,134 @@ const AddressParser = {
     return {
       address: fullText.slice(0, 150) + (fullText.length > 150 ? '...' : ''),
       type: 'text',
-      original: fullText
+      original: fullText,
+      confidence: 0
     };
   },
 
+  // Structured fields detected on each listing card
+  fieldNames: ['name', 'phone', 'website', 'rating', 'hours', 'price'],
+
+  fieldPatterns: {
+    phone: /(?<!\d)(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}(?!\d)/g,
+    rating: /(\d(?:[.,]\d)?)\s*(?:\/\s*5|out of 5|stars?|★)/i,
+    hours: /(?:open 24 hours|(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?(?:\s*[-–]\s*(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?)?:?\s*\d{1,2}(?::\d{2})?\s*(?:am|pm)?\s*[-–]\s*\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i,
+    price: /[$£€]\s?\d[\d,]*(?:\.\d{2})?/
+  },
+
+  /**
+   * Extract structured fields (name, phone, website, rating, hours, price)
+   * from a listing card. fieldSelectors maps a field name to a selector
+   * relative to the card, overriding the heuristics for that field.
+   */
+  extractFields(element, fieldSelectors = {}) {
+    if (!element) return {};
+
+    const fields = {};
+    const text = this.extractText(element);
+
+    this.fieldNames.forEach(field => {
+      let value = null;
+
+      if (fieldSelectors[field]) {
+        value = this.extractFieldFromSelector(element, field, fieldSelectors[field]);
+      }
+      if (!value) {
+        value = this.detectField(element, field, text);
+      }
+      if (value) {
+        fields[field] = value;
+      }
+    });
+
+    return fields;
+  },
+
+  /**
+   * Read a field from a user-defined sub-element
+   */
+  extractFieldFromSelector(element, field, selector) {
+    let target;
+    try {
+      target = element.querySelector(selector);
+    } catch (e) {
+      return null;
+    }
+    if (!target) return null;
+
+    if (field === 'website') {
+      const link = target.closest('a[href]') || target.querySelector('a[href]');
+      if (link) return link.href;
+    }
+    if (field === 'phone') {
+      const tel = target.closest('a[href^="tel:"]');
+      if (tel) return decodeURIComponent(tel.getAttribute('href').slice(4));
+    }
+
+    return this.extractText(target) || null;
+  },
+
+  /**
+   * Heuristically detect a single field in a card
+   */
+  detectField(element, field, text) {
+    switch (field) {
+      case 'name': {
+        // Most specific markers first
+        const selectors = ['[itemprop="name"]', 'h1, h2, h3, h4, h5, h6', '[class*="name" i], [class*="title" i]', 'strong, b'];
+        for (const selector of selectors) {
+          const heading = element.querySelector(selector);
+          const name = heading ? this.extractText(heading) : '';
+          if (name && name.length <= 120) return name;
+        }
+        return null;
+      }
+
+      case 'phone': {
+        const tel = element.querySelector('a[href^="tel:"]');
+        if (tel) return decodeURIComponent(tel.getAttribute('href').slice(4)).trim();
+        // Require enough digits to rule out ZIP codes and years, and skip
+        // ZIP+4 codes such as "OR 97201-1234"
+        const match = Array.from(text.matchAll(this.fieldPatterns.phone)).find(m =>
+          m[0].replace(/\D/g, '').length >= 7 && !/^\d{5}-\d{4}$/.test(m[0].trim()));
+        return match ? match[0].trim() : null;
+      }
+
+      case 'website': {
+        const links = Array.from(element.querySelectorAll('a[href]'));
+        if (element.tagName === 'A' && element.href) links.unshift(element);
+        const web = links.filter(a => /^https?:/i.test(a.href) && !this.isGoogleMapsUrl(a.href));
+        const external = web.find(a => a.hostname && a.hostname !== window.location.hostname);
+        return (external || web[0])?.href || null;
+      }
+
+      case 'rating': {
+        const ratingEl = element.querySelector('[itemprop="ratingValue"]');
+        if (ratingEl) return ratingEl.getAttribute('content') || this.extractText(ratingEl);
+        const labelled = Array.from(element.querySelectorAll('[aria-label]'))
+          .map(el => el.getAttribute('aria-label').match(this.fieldPatterns.rating))
+          .find(Boolean);
+        const match = labelled || text.match(this.fieldPatterns.rating);
+        return match ? match[1].replace(',', '.') : null;
+      }
+
+      case 'hours': {
+        const hoursEl = element.querySelector('[itemprop="openingHours"], time');
+        if (hoursEl) return hoursEl.getAttribute('content') || this.extractText(hoursEl);
+        const match = text.match(this.fieldPatterns.hours);
+        return match ? match[0].trim() : null;
+      }
+
+      case 'price': {
+        const match = text.match(this.fieldPatterns.price);
+        return match ? match[0].replace(/\s+/g, '') : null;
+      }
+
+      default:
+        return null;
+    }
+  },
+
   /**
    * Clean and normalize text for display
    */
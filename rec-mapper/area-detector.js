@@ -0,0 +1,170 @@
+/**
+ * Area Detector - Proposes a search area from the page, so "123 Main St" is
+ * looked up in the right city even when the Search Area field is left empty.
+ *
+ * Signals, strongest first: a city or region shared by the extracted results,
+ * the page's own schema.org address, a heading such as "Parks in Portland, OR",
+ * and the site's country-code domain. A heading that only names a capitalized
+ * word ("Parks in Portland") is not certain enough to use unasked, so it is
+ * proposed as a suggestion rather than filled in.
+ */
+
+const AreaDetector = {
+  // Share of results that must agree on a city before it is proposed; below
+  // this the region is used, so suburbs aren't cut out of a city's box
+  LOCALITY_SHARE: 0.8,
+  REGION_SHARE: 0.6,
+
+  // Country-code domains that are mostly used generically
+  GENERIC_TLDS: ['ai', 'app', 'cc', 'co', 'fm', 'gg', 'io', 'ly', 'me', 'tv', 'ws'],
+
+  // Words that show a phrase after "in" isn't a place ("Events in March",
+  // "Reviews In Google Maps", "Sign In To Your Account", "Shop Items In Store")
+  NOT_PLACES: /^(?:January|February|March|April|May|June|July|August|September|October|November|December|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday|Stock|Person|Progress|Maps?|Google|Apple|Facebook|App|Store|Stores|Sale|Cart|Account|Accounts|Touch|Mind|Minutes|Seconds|Hours|Days|Style|Use|Time|The|This|That|These|Our|Your|My|All|Any|One)$/,
+
+  // Title-case words that end a place name ("Parks In Portland For Families")
+  PLACE_END: /^(?:For|With|And|To|At|On|By|From|Near|Of|Or|Open|Now|Today)$/,
+
+  // Page signals, worked out once per URL
+  pageCache: null,
+
+  /**
+   * Best guess at a search area
+   * @param {Array<{ addressParts }>} results - Extracted results
+   * @param {Document} doc
+   * @returns {{ area: string, source: string, confident: boolean } | null} area, where
+   *   it came from, and whether it is reliable enough to fill in without asking
+   */
+  detect(results, doc = document) {
+    return this.fromResults(results) || this.fromPage(doc);
+  },
+
+  /**
+   * A city, or failing that a region, most results agree on
+   */
+  fromResults(results) {
+    const parts = results.map(r => r.addressParts).filter(p => p && (p.locality || p.region));
+    if (parts.length < 2) return null;
+
+    const locality = this.mostCommon(parts.map(p => p.locality && [p.locality, p.region].filter(Boolean).join(', ')));
+    if (locality && locality.count >= parts.length * this.LOCALITY_SHARE) {
+      return { area: locality.value, source: `${locality.count} of ${parts.length} results in ${locality.value}`, confident: true };
+    }
+
+    const region = this.mostCommon(parts.map(p => p.region && [p.region, p.country].filter(Boolean).join(', ')));
+    if (region && region.count >= parts.length * this.REGION_SHARE) {
+      return { area: region.value, source: `${region.count} of ${parts.length} results in ${region.value}`, confident: true };
+    }
+
+    return null;
+  },
+
+  fromPage(doc) {
+    const url = doc.location ? doc.location.href : '';
+    if (!this.pageCache || this.pageCache.url !== url) {
+      this.pageCache = {
+        url,
+        proposal: this.fromStructuredData(doc) || this.fromHeadings(doc) || this.fromDomain(doc)
+      };
+    }
+    return this.pageCache.proposal;
+  },
+
+  /**
+   * The city in the page's own schema.org address, e.g. a directory's Organization
+   */
+  fromStructuredData(doc) {
+    if (typeof StructuredData === 'undefined') return null;
+
+    const parts = StructuredData.harvest(doc).map(entity => entity.addressParts).filter(p => p && p.locality);
+    const locality = this.mostCommon(parts.map(p => [p.locality, p.region].filter(Boolean).join(', ')));
+    if (!locality) return null;
+
+    return { area: locality.value, source: 'the page\'s structured data', confident: true };
+  },
+
+  /**
+   * A place named in the title or a heading: "Parks in Portland, OR", "City of Austin".
+   * Only "City, ST" shaped places are confident; a capitalized "In" only
+   * counts in a title-case heading, where every word is capitalized anyway.
+   */
+  fromHeadings(doc) {
+    const headings = [
+      ...Array.from(doc.querySelectorAll('h1, h2'), el => el.textContent),
+      doc.title
+    ];
+    const pattern = /\b([Ii]n|[Nn]ear|[Aa]round|[Aa]cross|[Tt]hroughout|City of)\s+([A-Z][\w.'-]*(?:,?\s[A-Z][\w.'-]*)*)/g;
+
+    for (const text of headings) {
+      const heading = String(text || '').replace(/\s+/g, ' ').trim();
+      for (const match of heading.matchAll(pattern)) {
+        if (/^[A-Z][a-z]/.test(match[1]) && !this.isTitleCase(heading)) continue;
+
+        const words = match[2].split(' ');
+        const end = words.findIndex(word => this.PLACE_END.test(word.replace(/,$/, '')));
+        if (end === 0) continue;
+        const place = (end > 0 ? words.slice(0, end) : words).join(' ').replace(/[.,]+$/, '');
+        if (place.split(/[\s,]+/).some(word => this.NOT_PLACES.test(word))) continue;
+
+        return {
+          area: place,
+          source: `the heading "${heading.length > 60 ? heading.slice(0, 57) + '…' : heading}"`,
+          confident: /^[A-Z][\w.'-]*(?: [A-Z][\w.'-]*)*, (?:[A-Z]{2}|[A-Z][a-z]+(?: [A-Z][a-z]+)*)$/.test(place)
+        };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Whether every word longer than three letters starts with a capital,
+   * as in "Best Coffee Shops In Seattle"
+   */
+  isTitleCase(text) {
+    const words = text.match(/[A-Za-z][\w'-]{3,}/g) || [];
+    return words.length > 0 && words.every(word => /^[A-Z]/.test(word));
+  },
+
+  /**
+   * The country of a country-code domain such as example.de
+   */
+  fromDomain(doc) {
+    const hostname = doc.location ? doc.location.hostname : '';
+    const tld = hostname.split('.').pop().toLowerCase();
+    if (!/^[a-z]{2}$/.test(tld) || this.GENERIC_TLDS.includes(tld)) return null;
+
+    let country;
+    try {
+      country = new Intl.DisplayNames(['en'], { type: 'region' }).of(tld === 'uk' ? 'GB' : tld.toUpperCase());
+    } catch (e) {
+      return null;
+    }
+    if (!country || country.toUpperCase() === tld.toUpperCase()) return null;
+
+    return { area: country, source: `the site's .${tld} domain`, confident: true };
+  },
+
+  /**
+   * Most frequent value (case-insensitive), ignoring empty ones
+   */
+  mostCommon(values) {
+    const counts = new Map();
+    values.filter(Boolean).forEach(value => {
+      const key = value.toLowerCase();
+      const entry = counts.get(key) || { value, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+
+    let best = null;
+    counts.forEach(entry => {
+      if (!best || entry.count > best.count) best = entry;
+    });
+    return best;
+  }
+};
+
+// Make available to content script
+if (typeof window !== 'undefined') {
+  window.AreaDetector = AreaDetector;
+}
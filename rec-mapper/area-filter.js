@@ -0,0 +1,73 @@
+/**
+ * Area Filter - Tests locations against shapes drawn on the map
+ *
+ * Shapes use plain coordinates so they work with any map provider:
+ * { type: 'polygon', points: [{ lat, lng }, ...] }
+ * { type: 'rectangle', bounds: { south, west, north, east } }
+ * { type: 'circle', center: { lat, lng }, radiusKm }
+ */
+
+const AreaFilter = {
+  /**
+   * Whether a point lies inside a shape
+   */
+  contains(shape, lat, lng) {
+    switch (shape.type) {
+      case 'polygon':
+        return this.pointInPolygon(lat, lng, shape.points);
+      case 'rectangle': {
+        const { south, west, north, east } = shape.bounds;
+        return lat >= south && lat <= north && lng >= west && lng <= east;
+      }
+      case 'circle':
+        return RoutePlanner.haversine(shape.center, { lat, lng }) <= shape.radiusKm;
+      default:
+        return true;
+    }
+  },
+
+  /**
+   * Ray casting test, treating lng/lat as planar x/y (fine at neighbourhood scale).
+   * Points on an edge or corner count as inside, as they do for rectangles.
+   */
+  pointInPolygon(lat, lng, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if (this.onSegment(lat, lng, a, b)) return true;
+      if ((a.lat > lat) !== (b.lat > lat) &&
+          lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  /**
+   * Whether a point lies on the segment from a to b
+   */
+  onSegment(lat, lng, a, b) {
+    const cross = (b.lng - a.lng) * (lat - a.lat) - (b.lat - a.lat) * (lng - a.lng);
+    return Math.abs(cross) < 1e-12 &&
+      lat >= Math.min(a.lat, b.lat) && lat <= Math.max(a.lat, b.lat) &&
+      lng >= Math.min(a.lng, b.lng) && lng <= Math.max(a.lng, b.lng);
+  },
+
+  /**
+   * Short description for status text
+   */
+  describe(shape) {
+    switch (shape.type) {
+      case 'polygon': return `polygon (${shape.points.length} points)`;
+      case 'rectangle': return 'rectangle';
+      case 'circle': return `circle (${shape.radiusKm.toFixed(shape.radiusKm < 10 ? 1 : 0)} km)`;
+      default: return 'area';
+    }
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.AreaFilter = AreaFilter;
+}
@@ -2,6 +2,8 @@
  * Background Service Worker - Coordinates communication between tabs and popup
  */
 
+importScripts('geocode-cache.js', 'usage-ledger.js', 'geocoder.js', 'geocode-job.js');
+
 // Store for active tab state
 const tabStates = new Map();
 
@@ -75,16 +77,49 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true; // Keep channel open for async response
 
-    case 'geocodeAddress':
-      geocodeAddress(message.address, message.apiKey)
-        .then(result => sendResponse(result))
-        .catch(error => sendResponse({ error: error.message }));
+    case 'startGeocodeJob':
+      GeocodeJob.start(message.queries, message.chain, message.searchArea)
+        .then(job => sendResponse({ success: true, jobId: job.id }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'getGeocodeJob':
+      // Map tabs call this when they open, which also wakes the worker
+      // so an interrupted job carries on
+      GeocodeJob.get(message.jobId)
+        .then(job => sendResponse({ job }))
+        .catch(error => sendResponse({ job: null, error: error.message }));
+      return true;
+
+    case 'pauseGeocodeJob':
+      GeocodeJob.pause(message.jobId)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'resumeGeocodeJob':
+      GeocodeJob.resume(message.jobId, message.allowOverBudget)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
 
-    case 'geocodeBatch':
-      geocodeBatch(message.addresses, message.apiKey)
-        .then(results => sendResponse(results))
-        .catch(error => sendResponse({ error: error.message }));
+    case 'cancelGeocodeJob':
+      GeocodeJob.cancel(message.jobId)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'recordUsage':
+      // Pages count their requests here, so the worker is the only writer
+      UsageLedger.record(message.provider, message.kind)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'reserveUsage':
+      UsageLedger.reserve(message.provider, message.allowOverBudget)
+        .then(overBudget => sendResponse({ overBudget }))
+        .catch(error => sendResponse({ overBudget: null, error: error.message }));
       return true;
 
     case 'openMapTab':
@@ -119,88 +154,59 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return chrome.storage.local.set({ savedExtractions: saved });
       }).then(() => {
         sendResponse({ success: true });
-      });
+      }).catch(error => sendResponse({ success: false, error: error.message }));
       return true; // Keep channel open for async response
-  }
-});
 
-// Geocoding function with caching
-async function geocodeAddress(address, apiKey) {
-  // Check cache first
-  const cacheKey = `geocode_${btoa(address)}`;
-  const cached = await chrome.storage.local.get(cacheKey);
+    case 'saveRecipe': {
+      // Save a recipe keyed by the page's URL pattern
+      const pattern = getRecipePattern(message.pageUrl);
+      chrome.storage.local.get('savedRecipes').then(stored => {
+        const recipes = stored.savedRecipes || {};
+        recipes[pattern] = {
+          ...message.recipe,
+          pattern,
+          savedAt: new Date().toISOString()
+        };
+        return chrome.storage.local.set({ savedRecipes: recipes });
+      }).then(() => {
+        sendResponse({ success: true, pattern });
+      }).catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Keep channel open for async response
+    }
 
-  if (cached[cacheKey]) {
-    return cached[cacheKey];
+    case 'findRecipe':
+      chrome.storage.local.get('savedRecipes').then(stored => {
+        const recipes = stored.savedRecipes || {};
+        sendResponse({ recipe: recipes[getRecipePattern(message.pageUrl)] || null });
+      }).catch(error => sendResponse({ recipe: null, error: error.message }));
+      return true; // Keep channel open for async response
   }
+});
 
-  // Make API request
-  const encodedAddress = encodeURIComponent(address);
-  const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedAddress}&key=${apiKey}`;
-
+/**
+ * Build the URL pattern a recipe is stored under: host plus path, with
+ * numeric path segments wildcarded so /city/42/parks and /city/7/parks share a recipe
+ */
+function getRecipePattern(pageUrl) {
   try {
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (data.status === 'OK' && data.results.length > 0) {
-      const firstResult = data.results[0];
-      const result = {
-        success: true,
-        lat: firstResult.geometry.location.lat,
-        lng: firstResult.geometry.location.lng,
-        formattedAddress: firstResult.formatted_address,
-        placeId: firstResult.place_id,
-        // Include match quality info from Google
-        partialMatch: firstResult.partial_match || false,
-        locationType: firstResult.geometry.location_type, // ROOFTOP, RANGE_INTERPOLATED, GEOMETRIC_CENTER, APPROXIMATE
-        types: firstResult.types // e.g., ['street_address'], ['establishment'], ['locality']
-      };
-
-      // Cache the result
-      await chrome.storage.local.set({ [cacheKey]: result });
-
-      return result;
-    } else if (data.status === 'ZERO_RESULTS') {
-      return { success: false, error: 'Address not found' };
-    } else if (data.status === 'OVER_QUERY_LIMIT') {
-      return { success: false, error: 'API rate limit exceeded', retryable: true };
-    } else {
-      return { success: false, error: data.status };
-    }
-  } catch (error) {
-    return { success: false, error: error.message };
+    const url = new URL(pageUrl);
+    const path = url.pathname
+      .split('/')
+      .map(segment => /^\d+$/.test(segment) ? '*' : segment)
+      .join('/')
+      .replace(/\/+$/, '');
+    return (url.hostname + path).toLowerCase();
+  } catch (e) {
+    return pageUrl;
   }
 }
 
-// Batch geocoding with rate limiting
-async function geocodeBatch(addresses, apiKey) {
-  const results = [];
-  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-
-  for (let i = 0; i < addresses.length; i++) {
-    const result = await geocodeAddress(addresses[i].address, apiKey);
-    results.push({
-      ...addresses[i],
-      geocode: result
-    });
-
-    // Rate limit: max 50 requests per second for Google Maps API
-    // We'll be conservative and do 10 per second
-    if (i < addresses.length - 1) {
-      await delay(100);
-    }
+// Carry on with geocoding jobs interrupted by the worker stopping or the browser closing
+chrome.runtime.onStartup.addListener(() => GeocodeJob.restore());
+GeocodeJob.restore();
 
-    // If we hit rate limit, wait longer
-    if (result.retryable) {
-      await delay(2000);
-      // Retry once
-      const retry = await geocodeAddress(addresses[i].address, apiKey);
-      results[results.length - 1].geocode = retry;
-    }
-  }
-
-  return results;
-}
+// Results cached by earlier versions lived in chrome.storage.local under geocode_* keys
+chrome.runtime.onInstalled.addListener(() => GeocodeCache.removeLegacy());
 
 // Clean up tab state when tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
@@ -12,12 +12,36 @@
     matchedElements: [],
     excludedElements: [],
     extractedResults: [],
+    selector: null,
+    searchArea: '',
+    searchAreaEdited: false, // Typed by the user or set by a recipe, so no longer proposed
+    areaProposal: null, // { area, source, confident } from AreaDetector
     hoveredElement: null,
     overlay: null,
     banner: null,
-    resultsPanel: null
+    resultsPanel: null,
+    recipeOffer: null,
+    isPickingNext: false,
+    pagination: null,
+    watcher: null,
+    fieldSelectors: {},
+    pickingField: null,
+    table: null,
+    declinedTables: new WeakSet()
   };
 
+  // Default number of pages to walk when crawling
+  const DEFAULT_PAGE_CAP = 10;
+
+  // Results below this address confidence are flagged in the panel
+  const LOW_CONFIDENCE = 0.4;
+
+  // Auto-scroll gives up after this many scrolls without new content
+  const AUTO_SCROLL_IDLE_LIMIT = 5;
+
+  // Shown under the Search Area field unless it holds a detected area
+  const SEARCH_AREA_HINT = 'Keeps geocoding results inside this area';
+
   // Create UI elements
   function createOverlay() {
     const overlay = document.createElement('div');
@@ -35,14 +59,25 @@
         <span class="rec-mapper-banner-counter">0 selected</span>
       </div>
       <div class="rec-mapper-banner-buttons">
+        <button class="rec-mapper-btn rec-mapper-btn-cancel rec-mapper-btn-page-data" style="display:none;">Use Page Data</button>
         <button class="rec-mapper-btn rec-mapper-btn-done" disabled>Find Matches</button>
-        <button class="rec-mapper-btn rec-mapper-btn-cancel">Cancel (ESC)</button>
+        <button class="rec-mapper-btn rec-mapper-btn-cancel rec-mapper-btn-exit">Cancel (ESC)</button>
       </div>
     `;
 
     // Event listeners
     banner.querySelector('.rec-mapper-btn-done').addEventListener('click', findMatches);
-    banner.querySelector('.rec-mapper-btn-cancel').addEventListener('click', cancelSelection);
+    banner.querySelector('.rec-mapper-btn-exit').addEventListener('click', cancelSelection);
+
+    // Offer structured data (schema.org JSON-LD / microdata) when the page has any
+    const entities = StructuredData.harvest(document);
+    if (entities.length > 0) {
+      const pageDataBtn = banner.querySelector('.rec-mapper-btn-page-data');
+      pageDataBtn.textContent = `Use Page Data (${entities.length})`;
+      pageDataBtn.title = 'Use the addresses and coordinates this page publishes as schema.org data';
+      pageDataBtn.style.display = '';
+      pageDataBtn.addEventListener('click', () => useStructuredData(entities));
+    }
 
     document.body.appendChild(banner);
     return banner;
@@ -92,7 +127,8 @@
     const itemsHtml = results.map((r, i) => `
       <div class="rec-mapper-result-item ${r.excluded ? 'excluded' : ''}" data-index="${i}">
         <div class="rec-mapper-result-content">
-          <span class="rec-mapper-result-text">${escapeHtml(r.address)}</span>
+          <span class="rec-mapper-result-text${r.confidence < LOW_CONFIDENCE ? ' low-confidence' : ''}"${r.confidence < LOW_CONFIDENCE ? ' title="No postal address recognized - check before mapping"' : ''}>${escapeHtml(r.address)}</span>
+          ${renderFieldSummary(r.fields)}
           <input type="text" class="rec-mapper-result-input" value="${escapeHtml(r.address)}" style="display:none;">
         </div>
         <div class="rec-mapper-result-actions">
@@ -106,7 +142,19 @@
 
     // Get current search area value if panel already exists
     const existingSearchArea = panel.querySelector('#rec-mapper-search-area');
-    const searchAreaValue = existingSearchArea ? existingSearchArea.value : '';
+    let searchAreaValue = existingSearchArea ? existingSearchArea.value : state.searchArea;
+
+    // Until the user fills it in, propose an area from the results and the page.
+    // Guesses that aren't confident are offered, not filled in.
+    if (!state.searchAreaEdited) {
+      state.areaProposal = AreaDetector.detect(results.filter(r => !r.excluded));
+      searchAreaValue = state.areaProposal && state.areaProposal.confident ? state.areaProposal.area : '';
+    }
+    const proposal = !state.searchAreaEdited && state.areaProposal;
+    const searchHint = !proposal ? escapeHtml(SEARCH_AREA_HINT) :
+      proposal.confident ? escapeHtml(`Detected from ${proposal.source}`) :
+      `<button class="rec-mapper-search-suggestion" type="button">Use ${escapeHtml(proposal.area)}?</button> ` +
+      `Suggested by ${escapeHtml(proposal.source)}`;
 
     panel.innerHTML = `
       <div class="rec-mapper-results-header">
@@ -116,14 +164,24 @@
       <div class="rec-mapper-results-body">
         ${itemsHtml || '<div class="rec-mapper-result-item" style="color: #6b7280; text-align: center;">No results</div>'}
       </div>
+      <div class="rec-mapper-results-tools">
+        ${renderPaginationTools()}
+      </div>
+      <div class="rec-mapper-results-tools">
+        ${renderWatchTools()}
+      </div>
+      <div class="rec-mapper-results-tools">
+        ${renderFieldTools()}
+      </div>
       <div class="rec-mapper-search-area">
         <label for="rec-mapper-search-area">Search Area:</label>
         <input type="text" id="rec-mapper-search-area" placeholder="e.g., San Francisco, CA" value="${escapeHtml(searchAreaValue)}">
-        <span class="rec-mapper-search-hint">Added to locations for better geocoding</span>
+        <span class="rec-mapper-search-hint">${searchHint}</span>
       </div>
       <div class="rec-mapper-results-footer">
-        <button class="rec-mapper-btn rec-mapper-btn-cancel" id="rec-mapper-refine">Refine</button>
+        <button class="rec-mapper-btn rec-mapper-btn-cancel" id="rec-mapper-refine"${state.table ? ' disabled' : ''}>Refine</button>
         <button class="rec-mapper-btn rec-mapper-btn-cancel" id="rec-mapper-save">Save</button>
+        <button class="rec-mapper-btn rec-mapper-btn-cancel" id="rec-mapper-recipe" title="Remember this pattern for this site"${state.selector ? '' : ' disabled'}>Recipe</button>
         <button class="rec-mapper-btn rec-mapper-btn-done" id="rec-mapper-map">Map</button>
       </div>
     `;
@@ -136,6 +194,18 @@
       }
     }
 
+    // Once the user types, the field is theirs and stops following the results
+    const searchAreaInput = panel.querySelector('#rec-mapper-search-area');
+    searchAreaInput.addEventListener('input', () => {
+      state.searchAreaEdited = true;
+      panel.querySelector('.rec-mapper-search-hint').textContent = SEARCH_AREA_HINT;
+    });
+
+    panel.querySelector('.rec-mapper-search-suggestion')?.addEventListener('click', () => {
+      searchAreaInput.value = state.areaProposal.area;
+      searchAreaInput.dispatchEvent(new Event('input'));
+    });
+
     // Add event listeners to result items
     panel.querySelectorAll('.rec-mapper-result-item').forEach(item => {
       const index = parseInt(item.dataset.index);
@@ -195,16 +265,139 @@
       });
     });
 
+    // Pagination controls
+    const crawlBtn = panel.querySelector('#rec-mapper-crawl');
+    if (crawlBtn) crawlBtn.addEventListener('click', startPickingNext);
+    const stopCrawlBtn = panel.querySelector('#rec-mapper-stop-crawl');
+    if (stopCrawlBtn) stopCrawlBtn.addEventListener('click', stopPagination);
+
+    // Live watching controls
+    panel.querySelector('#rec-mapper-watch').addEventListener('click', () => {
+      if (state.watcher) {
+        stopWatching();
+      } else {
+        startWatching();
+      }
+    });
+    panel.querySelector('#rec-mapper-auto-scroll').addEventListener('change', (e) => {
+      setAutoScroll(e.target.checked);
+    });
+
+    // Field definition controls
+    const pickFieldBtn = panel.querySelector('#rec-mapper-pick-field');
+    if (pickFieldBtn) {
+      pickFieldBtn.addEventListener('click', () => {
+        const field = panel.querySelector('#rec-mapper-field-name').value;
+        state.pickingField = state.pickingField === field ? null : field;
+        renderResultsPanel(null, true);
+      });
+    }
+
     // Refine pattern button
     panel.querySelector('#rec-mapper-refine').addEventListener('click', refinePattern);
 
     // Save button - saves for later use
     panel.querySelector('#rec-mapper-save').addEventListener('click', saveForLater);
 
+    // Recipe button - remembers the pattern for this site
+    panel.querySelector('#rec-mapper-recipe').addEventListener('click', saveRecipe);
+
     // Map button - stores data and opens map in new tab
     panel.querySelector('#rec-mapper-map').addEventListener('click', openMapTab);
   }
 
+  function renderPaginationTools() {
+    if (state.pagination && state.pagination.running) {
+      return `
+        <span class="rec-mapper-tools-status">Page ${state.pagination.page} of up to ${state.pagination.maxPages}…</span>
+        <button class="rec-mapper-btn rec-mapper-btn-small" id="rec-mapper-stop-crawl">Stop</button>
+      `;
+    }
+
+    const status = state.isPickingNext ? 'Click the page\'s "Next" link…' :
+      state.pagination ? escapeHtml(state.pagination.message) : 'Results span several pages?';
+
+    return `
+      <span class="rec-mapper-tools-status">${status}</span>
+      <button class="rec-mapper-btn rec-mapper-btn-small" id="rec-mapper-crawl"${state.selector && !state.isPickingNext ? '' : ' disabled'}>Crawl Pages</button>
+    `;
+  }
+
+  function renderWatchTools() {
+    const watcher = state.watcher;
+    const status = watcher ?
+      `Watching for new items… ${watcher.added} added${watcher.message ? ' · ' + escapeHtml(watcher.message) : ''}` :
+      'Loads more as you scroll?';
+
+    return `
+      <span class="rec-mapper-tools-status">${status}</span>
+      <label class="rec-mapper-tools-option" title="Keep scrolling to load more items">
+        <input type="checkbox" id="rec-mapper-auto-scroll"${watcher && watcher.scrollTimer ? ' checked' : ''}${watcher ? '' : ' disabled'}>
+        Auto-scroll
+      </label>
+      <button class="rec-mapper-btn rec-mapper-btn-small" id="rec-mapper-watch"${state.selector ? '' : ' disabled'}>${watcher ? 'Stop' : 'Keep Watching'}</button>
+    `;
+  }
+
+  function renderFieldTools() {
+    const defined = Object.keys(state.fieldSelectors);
+    const status = state.pickingField ?
+      `Click the ${state.pickingField} inside any highlighted item…` :
+      defined.length > 0 ? `Defined: ${defined.join(', ')}` : 'Fields are detected automatically';
+
+    if (state.table) {
+      return '<span class="rec-mapper-tools-status">Fields come from the mapped table columns</span>';
+    }
+
+    const options = AddressParser.fieldNames.map(field =>
+      `<option value="${field}"${field === state.pickingField ? ' selected' : ''}>${field}</option>`
+    ).join('');
+
+    return `
+      <span class="rec-mapper-tools-status">${status}</span>
+      <select class="rec-mapper-tools-select" id="rec-mapper-field-name">${options}</select>
+      <button class="rec-mapper-btn rec-mapper-btn-small" id="rec-mapper-pick-field">${state.pickingField ? 'Cancel' : 'Define Field'}</button>
+    `;
+  }
+
+  function renderFieldSummary(fields) {
+    if (!fields) return '';
+    const parts = ['name', 'phone', 'rating', 'price']
+      .filter(field => fields[field])
+      .map(field => field === 'rating' ? `★ ${escapeHtml(fields[field])}` : escapeHtml(fields[field]));
+    return parts.length > 0 ? `<span class="rec-mapper-result-fields">${parts.join(' · ')}</span>` : '';
+  }
+
+  /**
+   * Define a field from a clicked sub-element of a matched item and
+   * re-extract that field for every result
+   */
+  function handleFieldPicked(target) {
+    const field = state.pickingField;
+    const container = [...state.selectedElements, ...state.matchedElements]
+      .find(el => el !== target && el.contains(target));
+
+    if (!container) {
+      showFeedback(`Click inside one of the highlighted items to define "${field}"`);
+      return;
+    }
+
+    const selector = PatternMatcher.getRelativeSelector(container, target);
+    if (!selector) return;
+
+    state.fieldSelectors[field] = selector;
+    state.pickingField = null;
+
+    state.extractedResults.forEach(result => {
+      const el = findElementByIdentifier(result.element);
+      if (el) {
+        result.fields = AddressParser.extractFields(el, state.fieldSelectors);
+      }
+    });
+
+    renderResultsPanel(null, true);
+  }
+
   function updateHighlights() {
     // Update visual highlighting based on excluded state
     state.extractedResults.forEach((result, index) => {
@@ -323,9 +516,16 @@
    * Show brief feedback when multiple items are excluded
    */
   function showExclusionFeedback(count) {
+    showFeedback(`Excluded ${count} similar items`);
+  }
+
+  /**
+   * Show a brief toast below the banner
+   */
+  function showFeedback(message) {
     const feedback = document.createElement('div');
     feedback.className = 'rec-mapper-feedback';
-    feedback.textContent = `Excluded ${count} similar items`;
+    feedback.textContent = message;
     document.body.appendChild(feedback);
 
     setTimeout(() => {
@@ -363,6 +563,7 @@
 
     // Re-run pattern matching with the refined set
     const result = PatternMatcher.findMatches(includedElements, { minSimilarity: 0.7 });
+    state.selector = result.selector;
 
     // Filter out excluded elements from new matches
     const excludedPaths = new Set(excludedResults.map(r => r.element?.path).filter(Boolean));
@@ -375,9 +576,13 @@
       }
     });
 
-    // Re-extract addresses
+    // Re-extract addresses, keeping results crawled from other pages
+    const otherPageResults = state.extractedResults.filter(r => r.sourceUrl);
     const allElements = [...includedElements, ...state.matchedElements];
-    state.extractedResults = extractAddressesFromElements(allElements);
+    state.extractedResults = [
+      ...extractAddressesFromElements(allElements),
+      ...otherPageResults
+    ];
 
     // Mark previously excluded items that are still present
     state.extractedResults.forEach(result => {
@@ -426,6 +631,391 @@
     });
   }
 
+  /**
+   * Save the current selector, exclusions and search area as a recipe
+   * for this site so it can be re-run on a later visit
+   */
+  function saveRecipe() {
+    if (!state.selector) {
+      alert('Find matches first, then save the pattern as a recipe.');
+      return;
+    }
+
+    const searchAreaInput = state.resultsPanel.querySelector('#rec-mapper-search-area');
+    const searchArea = searchAreaInput ? searchAreaInput.value.trim() : '';
+
+    const name = prompt('Enter a name for this recipe:', window.location.hostname);
+    if (!name) return;
+
+    const excludedResults = state.extractedResults.filter(r => r.excluded);
+
+    chrome.runtime.sendMessage({
+      action: 'saveRecipe',
+      pageUrl: window.location.href,
+      recipe: {
+        name: name,
+        selector: state.selector,
+        excludedPaths: excludedResults.map(r => r.element?.path).filter(Boolean),
+        excludedAddresses: excludedResults.map(r => r.address),
+        fieldSelectors: state.fieldSelectors,
+        searchArea: searchArea
+      }
+    }, (response) => {
+      if (response && response.success) {
+        const notification = document.createElement('div');
+        notification.className = 'rec-mapper-notification';
+        notification.innerHTML = `<span>✓ Saved recipe "${escapeHtml(name)}" for ${escapeHtml(response.pattern)}</span>`;
+        document.body.appendChild(notification);
+        setTimeout(() => notification.remove(), 3000);
+      }
+    });
+  }
+
+  /**
+   * Offer to re-run a saved recipe on this page
+   */
+  function showRecipeOffer(recipe) {
+    removeRecipeOffer();
+
+    const offer = document.createElement('div');
+    offer.className = 'rec-mapper-recipe-offer';
+    offer.innerHTML = `
+      <span class="rec-mapper-recipe-offer-text">Rec Mapper recipe <strong>${escapeHtml(recipe.name)}</strong> matches this page</span>
+      <button class="rec-mapper-btn rec-mapper-btn-done rec-mapper-recipe-run">Re-run recipe</button>
+      <button class="rec-mapper-btn rec-mapper-recipe-dismiss" title="Dismiss">✕</button>
+    `;
+
+    offer.querySelector('.rec-mapper-recipe-run').addEventListener('click', () => runRecipe(recipe));
+    offer.querySelector('.rec-mapper-recipe-dismiss').addEventListener('click', removeRecipeOffer);
+
+    document.body.appendChild(offer);
+    state.recipeOffer = offer;
+  }
+
+  function removeRecipeOffer() {
+    if (state.recipeOffer) {
+      state.recipeOffer.remove();
+      state.recipeOffer = null;
+    }
+  }
+
+  /**
+   * Apply a saved recipe: skip the sample clicks and go straight to results
+   */
+  function runRecipe(recipe) {
+    let matches = [];
+    try {
+      matches = Array.from(document.querySelectorAll(recipe.selector));
+    } catch (e) {
+      console.warn('Recipe selector failed:', recipe.selector, e);
+    }
+
+    if (matches.length === 0) {
+      alert(`Recipe "${recipe.name}" no longer matches anything on this page. Start a new selection instead.`);
+      return;
+    }
+
+    enterSelectionMode();
+    state.selector = recipe.selector;
+    state.searchArea = recipe.searchArea || '';
+    state.searchAreaEdited = !!recipe.searchArea;
+    state.fieldSelectors = { ...(recipe.fieldSelectors || {}) };
+
+    matches.forEach(element => {
+      element.classList.add('rec-mapper-match');
+      state.matchedElements.push(element);
+    });
+
+    state.extractedResults = extractAddressesFromElements(matches);
+
+    // Re-apply the exclusions made when the recipe was saved
+    const excludedPaths = new Set(recipe.excludedPaths || []);
+    const excludedAddresses = new Set(recipe.excludedAddresses || []);
+    state.extractedResults.forEach(result => {
+      if (excludedPaths.has(result.element?.path) || excludedAddresses.has(result.address)) {
+        result.excluded = true;
+      }
+    });
+
+    updateBanner();
+    createResultsPanel();
+    updateHighlights();
+
+    chrome.runtime.sendMessage({
+      action: 'matchesFound',
+      count: matches.length,
+      confidence: 'recipe',
+      selector: recipe.selector
+    });
+  }
+
+  function checkForRecipe() {
+    chrome.runtime.sendMessage({
+      action: 'findRecipe',
+      pageUrl: window.location.href
+    }, (response) => {
+      if (chrome.runtime.lastError) return;
+      if (response && response.recipe && !state.isSelectionMode) {
+        showRecipeOffer(response.recipe);
+      }
+    });
+  }
+
+  /**
+   * Ask the user to click the page's "next" control
+   */
+  function startPickingNext() {
+    state.isPickingNext = true;
+    renderResultsPanel(null, true);
+  }
+
+  function handleNextControlPicked(element) {
+    state.isPickingNext = false;
+    const spec = Paginator.describeNextControl(element);
+
+    const answer = prompt('How many pages should be crawled at most?', String(DEFAULT_PAGE_CAP));
+    if (answer === null) {
+      renderResultsPanel(null, true);
+      return;
+    }
+    const maxPages = Math.max(2, parseInt(answer) || DEFAULT_PAGE_CAP);
+
+    crawlPages(spec, maxPages);
+  }
+
+  /**
+   * Walk the following pages, applying the learned selector on each
+   * and merging new results by address
+   */
+  async function crawlPages(spec, maxPages) {
+    const pagination = {
+      running: true,
+      stopped: false,
+      page: 1,
+      maxPages,
+      message: ''
+    };
+    state.pagination = pagination;
+    renderResultsPanel(null, true);
+
+    const seen = new Set(state.extractedResults.map(r => normalizeAddressKey(r.address)));
+    const visited = new Set([window.location.href]);
+    let currentDoc = document;
+    let currentUrl = window.location.href;
+    let added = 0;
+
+    while (pagination.page < maxPages && !pagination.stopped) {
+      const nextUrl = Paginator.getNextUrl(currentDoc, spec, currentUrl);
+      if (!nextUrl || visited.has(nextUrl)) {
+        pagination.message = 'No further pages found.';
+        break;
+      }
+      visited.add(nextUrl);
+
+      pagination.page++;
+      renderResultsPanel(null, true);
+
+      let doc;
+      try {
+        doc = await Paginator.fetchPage(nextUrl);
+      } catch (e) {
+        pagination.message = `Stopped: page ${pagination.page} failed to load (${e.message}).`;
+        break;
+      }
+      if (pagination.stopped) break;
+
+      let elements = [];
+      try {
+        elements = Array.from(doc.querySelectorAll(state.selector));
+      } catch (e) {
+        console.warn('Selector failed on crawled page:', state.selector, e);
+      }
+
+      const pageResults = extractAddressesFromElements(elements)
+        .map(r => ({ ...r, element: null, sourceUrl: nextUrl, page: pagination.page }))
+        .filter(r => {
+          const key = normalizeAddressKey(r.address);
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+
+      if (pageResults.length === 0) {
+        pagination.message = `Page ${pagination.page} had no new matches (it may be rendered by script).`;
+        break;
+      }
+
+      state.extractedResults.push(...pageResults);
+      added += pageResults.length;
+      currentDoc = doc;
+      currentUrl = nextUrl;
+
+      renderResultsPanel(null, true);
+
+      // Be polite to the site between requests
+      await new Promise(r => setTimeout(r, 800));
+    }
+
+    pagination.running = false;
+    if (pagination.stopped) {
+      pagination.message = `Stopped after page ${pagination.page}.`;
+    } else if (!pagination.message) {
+      pagination.message = `Reached the ${maxPages} page limit.`;
+    }
+    pagination.message += ` ${added} added.`;
+
+    renderResultsPanel(null, true);
+  }
+
+  function stopPagination() {
+    if (state.pagination) {
+      state.pagination.stopped = true;
+    }
+  }
+
+  /**
+   * Watch the page for newly rendered items (SPA / infinite scroll)
+   * and apply the learned selector to them as they appear
+   */
+  function startWatching() {
+    if (state.watcher || !state.selector) return;
+
+    const watcher = {
+      observer: null,
+      pendingNodes: [],
+      flushTimer: null,
+      scrollTimer: null,
+      idleScrolls: 0,
+      added: 0,
+      message: ''
+    };
+
+    watcher.observer = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType !== Node.ELEMENT_NODE || isOwnUi(node)) return;
+          watcher.pendingNodes.push(node);
+        });
+      });
+
+      // Batch bursts of mutations into a single pass
+      if (watcher.pendingNodes.length > 0 && !watcher.flushTimer) {
+        watcher.flushTimer = setTimeout(() => {
+          watcher.flushTimer = null;
+          processAddedNodes();
+        }, 300);
+      }
+    });
+
+    watcher.observer.observe(document.body, { childList: true, subtree: true });
+    state.watcher = watcher;
+    renderResultsPanel(null, true);
+  }
+
+  function stopWatching() {
+    const watcher = state.watcher;
+    if (!watcher) return;
+
+    watcher.observer.disconnect();
+    clearTimeout(watcher.flushTimer);
+    clearInterval(watcher.scrollTimer);
+    state.watcher = null;
+    renderResultsPanel(null, true);
+  }
+
+  function processAddedNodes() {
+    const watcher = state.watcher;
+    if (!watcher) return;
+
+    const nodes = watcher.pendingNodes;
+    watcher.pendingNodes = [];
+
+    const known = new Set([...state.selectedElements, ...state.matchedElements]);
+    const candidates = new Set();
+
+    nodes.forEach(node => {
+      if (!node.isConnected) return;
+      try {
+        if (node.matches(state.selector)) candidates.add(node);
+        node.querySelectorAll(state.selector).forEach(el => candidates.add(el));
+      } catch (e) {
+        console.warn('Selector failed on added nodes:', state.selector, e);
+      }
+    });
+
+    const newElements = Array.from(candidates).filter(el => !known.has(el) && !isOwnUi(el));
+    if (newElements.length === 0) return;
+
+    const seen = new Set(state.extractedResults.map(r => normalizeAddressKey(r.address)));
+    const offset = state.extractedResults.length;
+
+    const newResults = extractAddressesFromElements(newElements, [...known, ...newElements]).filter(r => {
+      const key = normalizeAddressKey(r.address);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    newResults.forEach((result, i) => {
+      result.index = offset + i;
+      const el = findElementByIdentifier(result.element);
+      if (el) {
+        el.classList.add('rec-mapper-match');
+        state.matchedElements.push(el);
+      }
+    });
+
+    if (newResults.length === 0) return;
+
+    state.extractedResults.push(...newResults);
+    watcher.added += newResults.length;
+    watcher.idleScrolls = 0;
+
+    renderResultsPanel(null, true);
+    updateBanner();
+  }
+
+  /**
+   * Periodically scroll the last match into view to trigger lazy loading
+   */
+  function setAutoScroll(enabled) {
+    const watcher = state.watcher;
+    if (!watcher) return;
+
+    clearInterval(watcher.scrollTimer);
+    watcher.scrollTimer = null;
+    watcher.idleScrolls = 0;
+    watcher.message = '';
+
+    if (enabled) {
+      watcher.scrollTimer = setInterval(() => {
+        const last = state.matchedElements[state.matchedElements.length - 1];
+        if (last && last.isConnected) {
+          last.scrollIntoView({ block: 'end' });
+        }
+        window.scrollTo(0, document.documentElement.scrollHeight);
+
+        watcher.idleScrolls++;
+        if (watcher.idleScrolls >= AUTO_SCROLL_IDLE_LIMIT) {
+          clearInterval(watcher.scrollTimer);
+          watcher.scrollTimer = null;
+          watcher.message = 'no more items loaded';
+          renderResultsPanel(null, true);
+        }
+      }, 1500);
+    }
+
+    renderResultsPanel(null, true);
+  }
+
+  function isOwnUi(element) {
+    return !!element.closest('.rec-mapper-banner, .rec-mapper-results-panel, .rec-mapper-notification, .rec-mapper-feedback, .rec-mapper-overlay, .rec-mapper-recipe-offer');
+  }
+
+  function normalizeAddressKey(address) {
+    return (address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
   function openMapTab() {
     // Get included results
     const includedResults = state.extractedResults.filter(r => !r.excluded);
@@ -478,6 +1068,18 @@
     state.matchedElements = [];
     state.excludedElements = [];
     state.extractedResults = [];
+    state.selector = null;
+    state.searchArea = '';
+    state.searchAreaEdited = false;
+    state.areaProposal = null;
+    state.isPickingNext = false;
+    state.pagination = null;
+    state.fieldSelectors = {};
+    state.pickingField = null;
+    state.table = null;
+    state.declinedTables = new WeakSet();
+
+    removeRecipeOffer();
 
     state.overlay = createOverlay();
     state.banner = createBanner();
@@ -493,6 +1095,9 @@
 
   function exitSelectionMode(keepResults = false) {
     state.isSelectionMode = false;
+    state.isPickingNext = false;
+    stopPagination();
+    stopWatching();
 
     // Remove event listeners
     document.removeEventListener('mouseover', handleMouseOver, true);
@@ -543,7 +1148,7 @@
     const target = e.target;
 
     // Ignore our own UI elements
-    if (target.closest('.rec-mapper-banner, .rec-mapper-results-panel, .rec-mapper-notification')) return;
+    if (target.closest('.rec-mapper-banner, .rec-mapper-results-panel, .rec-mapper-notification, .rec-mapper-recipe-offer')) return;
 
     // Remove previous hover
     if (state.hoveredElement) {
@@ -576,11 +1181,25 @@
     const target = e.target;
 
     // Ignore clicks on our UI
-    if (target.closest('.rec-mapper-banner, .rec-mapper-results-panel, .rec-mapper-notification')) return;
+    if (target.closest('.rec-mapper-banner, .rec-mapper-results-panel, .rec-mapper-notification, .rec-mapper-recipe-offer')) return;
 
     e.preventDefault();
     e.stopPropagation();
 
+    // Waiting for a field's sub-element
+    if (state.pickingField) {
+      target.classList.remove('rec-mapper-hover');
+      handleFieldPicked(target);
+      return;
+    }
+
+    // Waiting for the "next page" control
+    if (state.isPickingNext) {
+      target.classList.remove('rec-mapper-hover');
+      handleNextControlPicked(target);
+      return;
+    }
+
     // If clicking on a matched element, toggle exclusion
     if (target.classList.contains('rec-mapper-match') || target.classList.contains('rec-mapper-excluded')) {
       toggleElementExclusion(target);
@@ -593,6 +1212,16 @@
       return;
     }
 
+    // A first click inside a data table offers column mapping instead
+    if (state.selectedElements.length === 0 && state.extractedResults.length === 0) {
+      const table = TableExtractor.findTable(target);
+      if (table && !state.declinedTables.has(table)) {
+        target.classList.remove('rec-mapper-hover');
+        showTableMapper(table);
+        return;
+      }
+    }
+
     // Select the element
     selectElement(target);
   }
@@ -658,6 +1287,7 @@
 
     // Find matching elements
     const result = PatternMatcher.findMatches(state.selectedElements);
+    state.selector = result.selector;
 
     // Highlight matches
     result.matches.forEach(element => {
@@ -685,8 +1315,186 @@
     });
   }
 
-  function extractAddressesFromElements(elements) {
+  /**
+   * Show the column mapping panel for a data table
+   */
+  function showTableMapper(table) {
+    const { headers, samples, bodyRows } = TableExtractor.describe(table);
+    const roles = TableExtractor.guessRoles(headers);
+
+    table.classList.add('rec-mapper-selected');
+
+    if (state.resultsPanel) {
+      state.resultsPanel.remove();
+    }
+
+    const roleOptions = selected => TableExtractor.roles.map(role =>
+      `<option value="${role.id}"${role.id === selected ? ' selected' : ''}>${role.label}</option>`
+    ).join('');
+
+    const columnsHtml = headers.map((header, i) => `
+      <div class="rec-mapper-result-item rec-mapper-table-column">
+        <div class="rec-mapper-result-content">
+          <span class="rec-mapper-result-text">${escapeHtml(header)}</span>
+          <span class="rec-mapper-result-fields">${escapeHtml(samples[i] || '(empty)')}</span>
+        </div>
+        <select class="rec-mapper-tools-select" data-column="${i}">${roleOptions(roles[i])}</select>
+      </div>
+    `).join('');
+
+    const panel = document.createElement('div');
+    panel.className = 'rec-mapper-results-panel';
+    panel.innerHTML = `
+      <div class="rec-mapper-results-header">
+        <span>Map Table Columns</span>
+        <span class="rec-mapper-results-count">${bodyRows.length} rows</span>
+      </div>
+      <div class="rec-mapper-results-body">
+        ${columnsHtml}
+      </div>
+      <div class="rec-mapper-results-tools">
+        <span class="rec-mapper-tools-status">Address columns are joined into one query per row</span>
+      </div>
+      <div class="rec-mapper-results-footer">
+        <button class="rec-mapper-btn rec-mapper-btn-cancel" id="rec-mapper-table-decline">Select Cells Instead</button>
+        <button class="rec-mapper-btn rec-mapper-btn-done" id="rec-mapper-table-extract">Extract Rows</button>
+      </div>
+    `;
+
+    panel.querySelector('#rec-mapper-table-decline').addEventListener('click', () => {
+      state.declinedTables.add(table);
+      table.classList.remove('rec-mapper-selected');
+      panel.remove();
+      state.resultsPanel = null;
+    });
+
+    panel.querySelector('#rec-mapper-table-extract').addEventListener('click', () => {
+      const mapping = Array.from(panel.querySelectorAll('select[data-column]')).map(select => select.value);
+      extractTableRows(table, mapping);
+    });
+
+    document.body.appendChild(panel);
+    state.resultsPanel = panel;
+  }
+
+  /**
+   * Turn every table row into a result using the column mapping
+   */
+  function extractTableRows(table, roles) {
+    const addressRoles = ['address', 'street', 'city', 'state', 'zip', 'country'];
+    if (!roles.some(role => addressRoles.includes(role))) {
+      showFeedback('Assign at least one column to an address part');
+      return;
+    }
+
+    const items = TableExtractor.extract(table, roles);
+    table.classList.remove('rec-mapper-selected');
+
+    state.matchedElements.forEach(el => el.classList.remove('rec-mapper-match'));
+    state.matchedElements = items.map(item => item.row);
+    state.matchedElements.forEach(row => row.classList.add('rec-mapper-match'));
+    state.selector = null;
+    state.table = { roles };
+
+    state.extractedResults = items.map((item, index) => ({
+      index,
+      element: getElementIdentifier(item.row),
+      address: item.address,
+      type: 'table',
+      url: item.fields.website || null,
+      confidence: 1,
+      addressParts: item.addressParts,
+      rawText: item.rawText,
+      fields: item.fields,
+      excluded: false
+    }));
+
+    updateBanner();
+    createResultsPanel();
+
+    chrome.runtime.sendMessage({
+      action: 'matchesFound',
+      count: state.extractedResults.length,
+      confidence: 'table',
+      selector: null
+    });
+  }
+
+  /**
+   * Build results straight from the page's structured data, skipping text scraping
+   */
+  function useStructuredData(entities) {
+    state.selectedElements.forEach(el => {
+      el.classList.remove('rec-mapper-selected');
+      el.removeAttribute('data-rec-mapper-index');
+    });
+    state.matchedElements.forEach(el => el.classList.remove('rec-mapper-match'));
+    state.selectedElements = [];
+    state.matchedElements = [];
+    state.selector = null;
+
+    state.extractedResults = entities.map((entity, index) => {
+      if (entity.element) {
+        entity.element.classList.add('rec-mapper-match');
+        state.matchedElements.push(entity.element);
+      }
+      return structuredEntityToResult(entity, index);
+    }).filter(r => r.address);
+
+    updateBanner();
+    createResultsPanel();
+
+    chrome.runtime.sendMessage({
+      action: 'matchesFound',
+      count: state.extractedResults.length,
+      confidence: 'structured-data',
+      selector: null
+    });
+  }
+
+  function structuredEntityToResult(entity, index) {
+    const hasCoords = entity.lat !== null && entity.lng !== null;
+    const address = entity.address || (hasCoords ? `${entity.lat}, ${entity.lng}` : '');
+
+    const result = {
+      index,
+      element: entity.element ? getElementIdentifier(entity.element) : null,
+      address,
+      type: 'structured-data',
+      url: entity.fields.website || null,
+      confidence: 1,
+      addressParts: entity.addressParts,
+      rawText: [entity.name, entity.address].filter(Boolean).join(', '),
+      fields: entity.fields,
+      excluded: false
+    };
+
+    if (hasCoords) {
+      result.coordinates = { lat: entity.lat, lng: entity.lng, source: 'structured-data' };
+    }
+
+    return result;
+  }
+
+  /**
+   * matched is every item matched on the page when elements is only some of
+   * them, so a scope that wraps other items isn't taken for one item's own
+   */
+  function extractAddressesFromElements(elements, matched = elements) {
     return elements.map((element, index) => {
+      // Structured data on or around the item beats scraping its text
+      const entity = StructuredData.findForElement(element, matched);
+      if (entity) {
+        const enriched = structuredEntityToResult(entity, index);
+        enriched.element = getElementIdentifier(element);
+        enriched.rawText = AddressParser.extractText(element);
+        enriched.fields = {
+          ...AddressParser.extractFields(element, state.fieldSelectors),
+          ...entity.fields
+        };
+        return enriched;
+      }
+
       const result = AddressParser.getBestAddress(element);
       const address = result ? result.address : AddressParser.extractText(element);
       return {
@@ -695,7 +1503,16 @@
         address: address,
         type: result?.type || 'text',
         url: result?.url || null,
+        confidence: result?.confidence || 0,
+        addressParts: result ? {
+          locality: result.locality || null,
+          region: result.region || null,
+          postcode: result.postcode || null,
+          country: result.country || null
+        } : null,
         rawText: AddressParser.extractText(element),
+        fields: AddressParser.extractFields(element, state.fieldSelectors),
+        ...(result?.coordinates && { coordinates: result.coordinates }),
         excluded: false
       };
     }).filter(r => r.address && r.address.length > 0);
@@ -758,4 +1575,7 @@
   // Notify that content script is ready
   chrome.runtime.sendMessage({ action: 'contentScriptReady' });
 
+  // Offer a saved recipe if one matches this page
+  checkForRecipe();
+
 })();
@@ -0,0 +1,182 @@
+/**
+ * Exporter - Serializes mapped locations to GeoJSON, KML, GPX and CSV
+ *
+ * Works on flat records of the shape:
+ * { address, formattedAddress, lat, lng, matchQuality, sourceUrl, sourceTitle, manual, skipped,
+ *   name, phone, website, rating, hours, price }
+ * Records without coordinates are kept where the format allows it (GeoJSON, CSV).
+ */
+
+const Exporter = {
+  formats: {
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+  },
+
+  csvColumns: [
+    'name', 'address', 'formattedAddress', 'lat', 'lng', 'matchQuality',
+    'phone', 'website', 'rating', 'hours', 'price',
+    'sourceUrl', 'sourceTitle', 'manual', 'skipped'
+  ],
+
+  fieldColumns: ['name', 'phone', 'website', 'rating', 'hours', 'price'],
+
+  /**
+   * Copy known structured fields onto a record, blank when missing
+   */
+  pickFields(fields = {}) {
+    const picked = {};
+    this.fieldColumns.forEach(key => {
+      picked[key] = fields[key] || '';
+    });
+    return picked;
+  },
+
+  hasCoordinates(record) {
+    return typeof record.lat === 'number' && typeof record.lng === 'number';
+  },
+
+  /**
+   * GeoJSON FeatureCollection; failed rows get a null geometry
+   */
+  toGeoJSON(records) {
+    const collection = {
+      type: 'FeatureCollection',
+      features: records.map(record => {
+        const { lat, lng, ...properties } = record;
+        return {
+          type: 'Feature',
+          geometry: this.hasCoordinates(record) ? { type: 'Point', coordinates: [lng, lat] } : null,
+          properties
+        };
+      })
+    };
+    return JSON.stringify(collection, null, 2);
+  },
+
+  /**
+   * KML document with one Placemark per mapped record
+   */
+  toKML(records, title = 'Rec Mapper') {
+    const placemarks = records.filter(r => this.hasCoordinates(r)).map(record => {
+      const data = this.csvColumns
+        .filter(key => key !== 'lat' && key !== 'lng')
+        .map(key => `        <Data name="${key}"><value>${this.escapeXml(record[key])}</value></Data>`)
+        .join('\n');
+
+      return `    <Placemark>
+      <name>${this.escapeXml(record.name || record.address)}</name>
+      <description>${this.escapeXml(record.formattedAddress)}</description>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${record.lng},${record.lat},0</coordinates></Point>
+    </Placemark>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this.escapeXml(title)}</name>
+${placemarks}
+  </Document>
+</kml>
+`;
+  },
+
+  /**
+   * GPX 1.1 file with one waypoint per mapped record
+   */
+  toGPX(records, title = 'Rec Mapper') {
+    const waypoints = records.filter(r => this.hasCoordinates(r)).map(record => {
+      const flags = [record.manual ? 'manual' : null, record.skipped ? 'skipped' : null].filter(Boolean);
+      return `  <wpt lat="${record.lat}" lon="${record.lng}">
+    <name>${this.escapeXml(record.name || record.address)}</name>
+    <cmt>${this.escapeXml([record.matchQuality, ...flags].filter(Boolean).join(', '))}</cmt>
+    <desc>${this.escapeXml([record.formattedAddress || record.address, record.phone, record.hours].filter(Boolean).join('\n'))}</desc>
+    <src>${this.escapeXml(record.sourceTitle)}</src>${record.sourceUrl ? `
+    <link href="${this.escapeXml(record.sourceUrl)}"><text>${this.escapeXml(record.sourceTitle || record.sourceUrl)}</text></link>` : ''}
+  </wpt>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Rec Mapper" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${this.escapeXml(title)}</name></metadata>
+${waypoints}
+</gpx>
+`;
+  },
+
+  /**
+   * CSV with a header row; every record is included
+   */
+  toCSV(records) {
+    const rows = records.map(record => this.csvColumns.map(key => this.escapeCsv(record[key])).join(','));
+    return [this.csvColumns.join(','), ...rows].join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Serialize records to the given format
+   */
+  serialize(format, records, title) {
+    switch (format) {
+      case 'geojson': return this.toGeoJSON(records);
+      case 'kml': return this.toKML(records, title);
+      case 'gpx': return this.toGPX(records, title);
+      case 'csv': return this.toCSV(records);
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  },
+
+  /**
+   * Trigger a file download in the current page
+   */
+  download(format, records, title = 'Rec Mapper') {
+    const { extension, mimeType } = this.formats[format];
+    const content = this.serialize(format, records, title);
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.toFileName(title)}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  toFileName(title) {
+    const name = (title || '').replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase();
+    return name.substring(0, 60) || 'rec-mapper';
+  },
+
+  escapeXml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  },
+
+  escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Scraped text starting like a formula is kept as text by spreadsheets;
+    // numbers such as negative coordinates are written as they are
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Exporter = Exporter;
+}
@@ -0,0 +1,237 @@
+/**
+ * Geocode Cache - Geocoding results in IndexedDB, shared by the service
+ * worker, popup and map pages.
+ *
+ * Records are keyed by a SHA-256 hash of the provider and normalized address:
+ * { key, provider, address, result, createdAt, lastUsed }
+ * Reads past the caller's TTL count as misses, and the least recently used
+ * records are dropped once there are more than MAX_ENTRIES.
+ */
+
+const GeocodeCache = {
+  DB_NAME: 'rec-mapper',
+  DB_VERSION: 1,
+  STORE: 'geocodes',
+  MAX_ENTRIES: 10000,
+
+  // Marks an exported file, so unrelated JSON isn't imported
+  FORMAT: 'rec-mapper-geocode-cache',
+
+  // Open database, created on first use
+  db: null,
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.STORE, { keyPath: 'key' });
+          store.createIndex('lastUsed', 'lastUsed');
+          store.createIndex('provider', 'provider');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  },
+
+  async store(mode) {
+    const db = await this.open();
+    return db.transaction(this.STORE, mode).objectStore(this.STORE);
+  },
+
+  /**
+   * Promise for an IDBRequest's result
+   */
+  request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  /**
+   * Visit every record an IDBCursor request walks over
+   */
+  iterate(req, onRecord) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve();
+        if (onRecord(cursor) !== false) cursor.continue();
+        else resolve();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  normalize(address) {
+    return String(address).trim().toLowerCase().replace(/\s+/g, ' ');
+  },
+
+  async getKey(address, provider) {
+    const data = new TextEncoder().encode(`${provider}\n${this.normalize(address)}`);
+    const hash = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * Cached result, or null when missing or older than ttl
+   * @param {string} address
+   * @param {string} provider - Geocoder provider id
+   * @param {number} ttl - Maximum age in ms
+   */
+  async get(address, provider, ttl) {
+    const key = await this.getKey(address, provider);
+    const record = await this.request((await this.store('readonly')).get(key));
+    if (!record) return null;
+
+    if (ttl && Date.now() - record.createdAt > ttl) {
+      await this.request((await this.store('readwrite')).delete(key));
+      return null;
+    }
+
+    record.lastUsed = Date.now();
+    await this.request((await this.store('readwrite')).put(record));
+    return record.result;
+  },
+
+  async set(address, provider, result) {
+    const now = Date.now();
+    const record = {
+      key: await this.getKey(address, provider),
+      provider,
+      address: this.normalize(address),
+      result,
+      createdAt: now,
+      lastUsed: now
+    };
+    await this.request((await this.store('readwrite')).put(record));
+    await this.prune();
+  },
+
+  /**
+   * Drop the least recently used records above MAX_ENTRIES
+   */
+  async prune() {
+    const store = await this.store('readwrite');
+    let excess = await this.request(store.count()) - this.MAX_ENTRIES;
+    if (excess <= 0) return;
+
+    await this.iterate(store.index('lastUsed').openCursor(), cursor => {
+      cursor.delete();
+      return --excess > 0;
+    });
+  },
+
+  /**
+   * Remove every record, or only one provider's; returns how many were removed
+   */
+  async clear(provider) {
+    const store = await this.store('readwrite');
+    if (!provider) {
+      const count = await this.request(store.count());
+      await this.request(store.clear());
+      return count;
+    }
+
+    let count = 0;
+    await this.iterate(store.index('provider').openCursor(IDBKeyRange.only(provider)), cursor => {
+      cursor.delete();
+      count++;
+    });
+    return count;
+  },
+
+  /**
+   * Record counts, in total and by provider
+   */
+  async stats() {
+    const store = await this.store('readonly');
+    const byProvider = {};
+    let count = 0;
+
+    await this.iterate(store.index('provider').openKeyCursor(), cursor => {
+      byProvider[cursor.key] = (byProvider[cursor.key] || 0) + 1;
+      count++;
+    });
+    return { count, byProvider };
+  },
+
+  /**
+   * Every record as a plain object for saving to a file
+   */
+  async export() {
+    const records = await this.request((await this.store('readonly')).getAll());
+    return {
+      format: this.FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entries: records.map(({ provider, address, result, createdAt }) => ({ provider, address, result, createdAt }))
+    };
+  },
+
+  /**
+   * Merge records from an exported file. Entries that aren't found
+   * locations, or are older than what is already cached, are skipped.
+   * @returns {{ imported: number, skipped: number }}
+   */
+  async import(data) {
+    if (!data || data.format !== this.FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('Not a Rec Mapper geocode cache file');
+    }
+
+    const now = Date.now();
+    const records = [];
+    let skipped = 0;
+
+    for (const entry of data.entries) {
+      const result = entry && entry.result;
+      if (!result || !result.success || !isFinite(result.lat) || !isFinite(result.lng) ||
+          typeof entry.provider !== 'string' || typeof entry.address !== 'string') {
+        skipped++;
+        continue;
+      }
+      records.push({
+        key: await this.getKey(entry.address, entry.provider),
+        provider: entry.provider,
+        address: this.normalize(entry.address),
+        result,
+        createdAt: Math.min(Number(entry.createdAt) || now, now),
+        lastUsed: now
+      });
+    }
+
+    let imported = 0;
+    for (const record of records) {
+      const store = await this.store('readwrite');
+      const existing = await this.request(store.get(record.key));
+      if (existing && existing.createdAt >= record.createdAt) {
+        skipped++;
+        continue;
+      }
+      await this.request(store.put(record));
+      imported++;
+    }
+
+    await this.prune();
+    return { imported, skipped };
+  },
+
+  /**
+   * Remove results cached in chrome.storage.local by earlier versions
+   */
+  async removeLegacy() {
+    const items = await chrome.storage.local.get();
+    const keys = Object.keys(items).filter(key => key.startsWith('geocode_'));
+    if (keys.length > 0) {
+      await chrome.storage.local.remove(keys);
+    }
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.GeocodeCache = GeocodeCache;
+}
@@ -0,0 +1,284 @@
+/**
+ * Geocode Job - Runs lists of geocoding queries in the service worker and
+ * keeps their progress in storage, so map tabs can close, reload or attach
+ * later and jobs pick up again after a restart.
+ *
+ * Jobs are stored by id under geocodeJobs: { [id]: job }, each
+ * { id, status, chain, searchArea, area, queries: string[],
+ *   results: { [query]: result }, completed, total, startedAt, updatedAt }
+ * status is 'queued', 'running', 'paused', 'done' or 'cancelled'. chain is
+ * the list of Geocoder stages (see Geocoder.loadChain) and area the resolved
+ * search area.
+ *
+ * Every map tab gets its own job. Jobs run one at a time in the order they
+ * were started, so tabs share the providers' rate limits instead of
+ * replacing each other's work. Finished jobs are dropped after a day.
+ *
+ * A job that reaches a provider's monthly budget pauses with
+ * overBudget: { provider, limit, used }, until it is resumed with the
+ * user's go-ahead (allowOverBudget) to continue past it. A job that can't
+ * run at all, e.g. because its search area can't be resolved, pauses with
+ * error: message. A query that throws fails on its own with
+ * { success: false, error }.
+ */
+
+const GeocodeJob = {
+  STORAGE_KEY: 'geocodeJobs',
+
+  // Progress is written at most this often while requests complete
+  SAVE_INTERVAL: 500,
+
+  // How long a done or cancelled job is kept for tabs reopening its map
+  KEEP_FINISHED: 24 * 60 * 60 * 1000,
+
+  jobs: null,
+  running: false,
+  cursor: 0,
+  saveTimer: null,
+
+  /**
+   * Add a job and start it once the jobs ahead of it have finished
+   * @param {string[]} queries - Addresses to geocode; duplicates are looked up once
+   * @param {string[]} chain - Geocoder stages to run each query through
+   * @param {string} searchArea - Area the queries are looked up in, e.g. "Portland, OR"
+   */
+  async start(queries, chain, searchArea) {
+    const jobs = await this.load();
+    const unique = [...new Set(queries)];
+
+    let id = Date.now();
+    while (jobs[id]) id++;
+
+    const job = jobs[id] = {
+      id,
+      status: unique.length > 0 ? 'queued' : 'done',
+      chain,
+      searchArea: searchArea || '',
+      area: null,
+      queries: unique,
+      results: {},
+      completed: 0,
+      total: unique.length,
+      startedAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this.prune();
+    await this.save();
+    this.run();
+    return job;
+  },
+
+  /**
+   * @param {number} id - Job id
+   * @returns {Promise<object|null>} The job, or null if it is unknown or was dropped
+   */
+  async get(id) {
+    const jobs = await this.load();
+    return jobs[id] || null;
+  },
+
+  async pause(id) {
+    await this.setStatus(id, ['running', 'queued'], 'paused');
+  },
+
+  /**
+   * @param {number} id - Job id
+   * @param {boolean} allowOverBudget - Continue past a budget the job paused at
+   */
+  async resume(id, allowOverBudget = false) {
+    const job = await this.get(id);
+    if (job && allowOverBudget && job.overBudget) {
+      job.allowOverBudget = true;
+    }
+    if (job) {
+      delete job.overBudget;
+      delete job.error;
+    }
+
+    if (await this.setStatus(id, ['paused'], 'queued')) {
+      this.run();
+    }
+  },
+
+  async cancel(id) {
+    await this.setStatus(id, ['running', 'queued', 'paused'], 'cancelled');
+  },
+
+  /**
+   * Continue the jobs that were running or queued when the worker stopped
+   */
+  async restore() {
+    await this.load();
+    this.run();
+  },
+
+  async load() {
+    if (this.jobs) return this.jobs;
+    const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+    // Another call may have loaded them while this one waited
+    this.jobs = this.jobs || stored[this.STORAGE_KEY] || {};
+    return this.jobs;
+  },
+
+  async setStatus(id, from, to) {
+    const job = await this.get(id);
+    if (!job || !from.includes(job.status)) return false;
+    job.status = to;
+    job.updatedAt = Date.now();
+    await this.save();
+    return true;
+  },
+
+  /**
+   * Run the waiting jobs one after another until none are left
+   */
+  async run() {
+    if (this.running || !this.jobs) return;
+    this.running = true;
+
+    try {
+      let job;
+      while ((job = this.nextJob())) {
+        try {
+          await this.runJob(job);
+        } catch (error) {
+          // Pause it so it isn't picked first again on every restart, holding up the others
+          job.status = 'paused';
+          job.error = error.message;
+          job.updatedAt = Date.now();
+          await this.save().catch(() => {});
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  },
+
+  /**
+   * The job interrupted by a worker restart, otherwise the oldest queued one
+   */
+  nextJob() {
+    const waiting = Object.values(this.jobs).filter(job => job.status === 'running' || job.status === 'queued');
+    waiting.sort((a, b) => (b.status === 'running') - (a.status === 'running') || a.startedAt - b.startedAt);
+    return waiting[0] || null;
+  },
+
+  /**
+   * Work through a job's queries with as many workers as the primary provider
+   * allows. Geocoder spaces the requests out by each provider's rate limit.
+   */
+  async runJob(job) {
+    job.status = 'running';
+    job.updatedAt = Date.now();
+    await this.save();
+    this.cursor = 0;
+
+    const settings = await Geocoder.loadSettings();
+    // Resolved once per job, then stored with it
+    if (job.searchArea && !job.area) {
+      try {
+        job.area = await Geocoder.resolveArea(job.searchArea, job.chain, settings);
+      } catch (error) {
+        throw new Error(`Could not look up the search area "${job.searchArea}": ${error.message}`);
+      }
+    }
+
+    const primary = job.chain.find(stage => Geocoder.providers[stage]);
+    const { concurrency } = Geocoder.getLimits(primary, settings[primary]);
+    await Promise.all(Array.from({ length: concurrency }, () => this.work(job, settings)));
+  },
+
+  async work(job, settings) {
+    while (job.status === 'running') {
+      const query = this.nextQuery(job);
+      if (query === null) break;
+
+      const options = { area: job.area, allowOverBudget: !!job.allowOverBudget };
+      let result = await this.lookup(query, job, settings, options);
+
+      // Back off once when the last stage reports a rate limit
+      if (result.retryable) {
+        await new Promise(r => setTimeout(r, 2000));
+        result = await this.lookup(query, job, settings, options);
+      }
+
+      // Cancelled while the request was in flight
+      if (job.status === 'cancelled') return;
+
+      // Wait for the user before spending past the budget; the query is retried on resume
+      if (result.overBudget) {
+        if (job.status === 'running') {
+          job.status = 'paused';
+          job.overBudget = result.overBudget;
+          job.updatedAt = Date.now();
+          await this.save();
+        }
+        return;
+      }
+
+      job.results[query] = result;
+      job.completed++;
+      job.updatedAt = Date.now();
+
+      if (job.completed >= job.total) {
+        job.status = 'done';
+        await this.save();
+      } else {
+        this.scheduleSave();
+      }
+    }
+  },
+
+  /**
+   * Geocode one query; an error thrown on the way (storage, IndexedDB,
+   * messaging) fails just this query instead of the job
+   */
+  async lookup(query, job, settings, options) {
+    try {
+      return await Geocoder.geocodeChain(query, job.chain, settings, options);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Next query without a result, or null when all are taken
+   */
+  nextQuery(job) {
+    while (this.cursor < job.queries.length) {
+      const query = job.queries[this.cursor++];
+      if (!(query in job.results)) return query;
+    }
+    return null;
+  },
+
+  /**
+   * Drop jobs that finished more than KEEP_FINISHED ago
+   */
+  prune() {
+    const oldest = Date.now() - this.KEEP_FINISHED;
+    Object.values(this.jobs).forEach(job => {
+      if ((job.status === 'done' || job.status === 'cancelled') && job.updatedAt < oldest) {
+        delete this.jobs[job.id];
+      }
+    });
+  },
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.SAVE_INTERVAL);
+  },
+
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.jobs) return;
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: this.jobs });
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.GeocodeJob = GeocodeJob;
+}
@@ -1,213 +1,860 @@
 /**
  * Geocoder - Unified geocoding with caching and provider abstraction
+ *
+ * Every provider returns the same result shape:
+ * { success: true, lat, lng, formattedAddress, placeId, type, locationType,
+ *   partialMatch, bounds, countryCode, allResults: [candidates], multipleResults }
+ * or { success: false, error, noResults | retryable | invalidKey | networkError }
+ *
+ * geocodeChain() runs an address through several providers and adds
+ * { stage, provider, query, simplified } to say which step produced the result,
+ * and outsideArea when it lies outside the search area.
+ *
+ * A search area is resolved once by resolveArea() to
+ * { label, bounds: { south, west, north, east }, countryCode }
+ * and passed to each provider's request to keep results inside it.
+ *
+ * reverseGeocode() looks up the address at a point, with the same result shape.
+ *
+ * Requests and cache hits are counted in UsageLedger. A request past a
+ * provider's monthly budget isn't sent; it fails with overBudget: { provider, limit, used }.
  */
 
+// Optional throttle and parallelism overrides, offered for servers that can be self-hosted
+const LIMIT_SETTINGS = [
+  { id: 'rateLimit', label: 'Min. ms between requests', type: 'number' },
+  { id: 'concurrency', label: 'Parallel requests', type: 'number' }
+];
+
+// Unit, suite and floor designators removed by simplifyQuery(). "Fl" is left
+// out because it clashes with the Florida abbreviation.
+const UNIT_PATTERNS = [
+  /\b(?:suite|ste|unit|apt|apartment|floor|room|rm|bldg|dept|office)(?:\.\s*|\s+)#?\s*[a-z0-9-]{1,6}\b/gi,
+  /\b\d+(?:st|nd|rd|th)\s+floor\b/gi,
+  /(?<=^|\s)#\s*[a-z0-9-]{1,6}\b/gi
+];
+
+// Words that mark a comma-separated part as a street line
+const STREET_WORDS = /\b(?:st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|ln|lane|way|ct|court|pl|place|hwy|highway|pkwy|parkway|sq|square|ter|terrace)\b/i;
+
 const Geocoder = {
-  // Rate limiting for Nominatim (1 request per second)
-  lastNominatimRequest: 0,
-  nominatimDelay: 1100, // 1.1 seconds to be safe
+  /**
+   * Geocoding providers by id. Each provider has:
+   *   label, description, name (short label for match quality)
+   *   settings - fields shown in the popup: { id, label, placeholder, type, secret, required }
+   *   rateLimit - minimum ms between requests; concurrency - requests in flight at once
+   *   cacheTtl - days results stay cached (DEFAULT_CACHE_TTL if not set)
+   *   buildRequest(address, settings, area) - { url, headers }; area is optional
+   *   parseResponse(data, settings) - array of candidates, or a failed result
+   *   reverse - optional { buildRequest(lat, lng, settings), parseResponse(data, settings) }
+   *     for looking up the address at a point
+   */
+  providers: {
+    osm: {
+      label: 'OpenStreetMap (Nominatim)',
+      name: 'OSM',
+      description: 'Free, no API key needed',
+      settings: [
+        { id: 'url', label: 'Server URL', placeholder: 'https://nominatim.openstreetmap.org' },
+        ...LIMIT_SETTINGS
+      ],
+      // Nominatim's usage policy allows one request per second (1.1s to be safe)
+      rateLimit: 1100,
+      concurrency: 1,
+      buildRequest(address, settings, area) {
+        const base = Geocoder.trimUrl(settings.url || 'https://nominatim.openstreetmap.org');
+        const params = new URLSearchParams({ format: 'json', q: address, limit: '5', addressdetails: '1' });
+        if (area && area.bounds) {
+          const box = Geocoder.padBounds(area.bounds);
+          params.set('viewbox', `${box.west},${box.north},${box.east},${box.south}`);
+          params.set('bounded', '1');
+        }
+        if (area && area.countryCode) params.set('countrycodes', area.countryCode);
+        return {
+          url: `${base}/search?${params.toString()}`,
+          headers: { 'User-Agent': 'RecMapper/1.0 (Chrome Extension for address mapping)' }
+        };
+      },
+      parseResponse(data) {
+        return (data || []).map(r => ({
+          lat: parseFloat(r.lat),
+          lng: parseFloat(r.lon),
+          formattedAddress: r.display_name,
+          placeId: r.place_id,
+          type: r.type,
+          countryCode: r.address && r.address.country_code,
+          // [south, north, west, east]
+          bounds: r.boundingbox ? {
+            south: parseFloat(r.boundingbox[0]),
+            north: parseFloat(r.boundingbox[1]),
+            west: parseFloat(r.boundingbox[2]),
+            east: parseFloat(r.boundingbox[3])
+          } : undefined
+        }));
+      },
+      reverse: {
+        buildRequest(lat, lng, settings) {
+          const base = Geocoder.trimUrl(settings.url || 'https://nominatim.openstreetmap.org');
+          const params = new URLSearchParams({ format: 'json', lat, lon: lng, addressdetails: '1' });
+          return {
+            url: `${base}/reverse?${params.toString()}`,
+            headers: { 'User-Agent': 'RecMapper/1.0 (Chrome Extension for address mapping)' }
+          };
+        },
+        parseResponse(data) {
+          // A single place, or { error: 'Unable to geocode' } in open water
+          if (!data || data.error) return [];
+          return Geocoder.providers.osm.parseResponse([data]);
+        }
+      }
+    },
+
+    google: {
+      label: 'Google Maps',
+      name: 'Google',
+      description: 'Requires API key',
+      settings: [
+        { id: 'apiKey', label: 'API key', placeholder: 'AIza...', secret: true, required: true }
+      ],
+      rateLimit: 0,
+      concurrency: 5,
+      // Google's terms allow caching results for up to 30 days
+      cacheTtl: 30,
+      buildRequest(address, settings, area) {
+        const params = new URLSearchParams({ address, key: settings.apiKey });
+        // bounds and region only bias the results; components restricts the country
+        if (area && area.bounds) {
+          const box = Geocoder.padBounds(area.bounds);
+          params.set('bounds', `${box.south},${box.west}|${box.north},${box.east}`);
+        }
+        if (area && area.countryCode) {
+          params.set('region', area.countryCode);
+          params.set('components', `country:${area.countryCode.toUpperCase()}`);
+        }
+        return { url: `https://maps.googleapis.com/maps/api/geocode/json?${params.toString()}` };
+      },
+      parseResponse(data) {
+        if (data.status === 'OVER_QUERY_LIMIT') {
+          return { success: false, error: 'API rate limit exceeded', retryable: true };
+        }
+        if (data.status === 'REQUEST_DENIED') {
+          return { success: false, error: 'Invalid API key', invalidKey: true };
+        }
+        if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+          return { success: false, error: data.status || 'Unknown error' };
+        }
+
+        return (data.results || []).map(r => ({
+          lat: r.geometry.location.lat,
+          lng: r.geometry.location.lng,
+          formattedAddress: r.formatted_address,
+          placeId: r.place_id,
+          locationType: r.geometry.location_type, // ROOFTOP, RANGE_INTERPOLATED, GEOMETRIC_CENTER, APPROXIMATE
+          partialMatch: r.partial_match || false,
+          types: r.types,
+          bounds: Geocoder.toBounds(r.geometry.bounds || r.geometry.viewport),
+          countryCode: ((r.address_components || []).find(c => c.types.includes('country')) || {}).short_name
+        }));
+      },
+      reverse: {
+        buildRequest(lat, lng, settings) {
+          const params = new URLSearchParams({ latlng: `${lat},${lng}`, key: settings.apiKey });
+          return { url: `https://maps.googleapis.com/maps/api/geocode/json?${params.toString()}` };
+        },
+        parseResponse(data) {
+          return Geocoder.providers.google.parseResponse(data);
+        }
+      }
+    },
+
+    photon: {
+      label: 'Photon',
+      name: 'Photon',
+      description: 'Free OpenStreetMap search by Komoot, or self-hosted',
+      settings: [
+        { id: 'url', label: 'Server URL', placeholder: 'https://photon.komoot.io' },
+        ...LIMIT_SETTINGS
+      ],
+      rateLimit: 500,
+      concurrency: 1,
+      buildRequest(address, settings, area) {
+        const base = Geocoder.trimUrl(settings.url || 'https://photon.komoot.io');
+        const params = new URLSearchParams({ q: address, limit: '5' });
+        if (area && area.bounds) {
+          const box = Geocoder.padBounds(area.bounds);
+          params.set('bbox', `${box.west},${box.south},${box.east},${box.north}`);
+        }
+        return { url: `${base}/api/?${params.toString()}` };
+      },
+      parseResponse(data) {
+        return (data.features || []).map(feature => {
+          const p = feature.properties || {};
+          const street = [p.housenumber, p.street].filter(Boolean).join(' ');
+          const region = [p.state, p.postcode].filter(Boolean).join(' ');
+          return {
+            lat: feature.geometry.coordinates[1],
+            lng: feature.geometry.coordinates[0],
+            formattedAddress: [p.name, street, p.city, region, p.country]
+              .filter((part, i, parts) => part && parts.indexOf(part) === i)
+              .join(', '),
+            placeId: p.osm_type && p.osm_id ? `${p.osm_type}${p.osm_id}` : undefined,
+            type: p.type || p.osm_value,
+            countryCode: p.countrycode,
+            // [minLon, maxLat, maxLon, minLat]
+            bounds: p.extent ? { west: p.extent[0], north: p.extent[1], east: p.extent[2], south: p.extent[3] } : undefined
+          };
+        });
+      },
+      reverse: {
+        buildRequest(lat, lng, settings) {
+          const base = Geocoder.trimUrl(settings.url || 'https://photon.komoot.io');
+          return { url: `${base}/reverse?${new URLSearchParams({ lat, lon: lng }).toString()}` };
+        },
+        parseResponse(data) {
+          return Geocoder.providers.photon.parseResponse(data);
+        }
+      }
+    },
+
+    pelias: {
+      label: 'Pelias',
+      name: 'Pelias',
+      description: 'Geocode Earth or a self-hosted Pelias server',
+      settings: [
+        { id: 'url', label: 'Server URL', placeholder: 'https://api.geocode.earth', required: true },
+        { id: 'apiKey', label: 'API key (if required)', secret: true },
+        ...LIMIT_SETTINGS
+      ],
+      rateLimit: 0,
+      concurrency: 4,
+      buildRequest(address, settings, area) {
+        const params = new URLSearchParams({ text: address, size: '5' });
+        if (settings.apiKey) params.set('api_key', settings.apiKey);
+        if (area && area.bounds) {
+          const box = Geocoder.padBounds(area.bounds);
+          params.set('boundary.rect.min_lat', box.south);
+          params.set('boundary.rect.min_lon', box.west);
+          params.set('boundary.rect.max_lat', box.north);
+          params.set('boundary.rect.max_lon', box.east);
+        }
+        if (area && area.countryCode) params.set('boundary.country', area.countryCode);
+        return { url: `${Geocoder.trimUrl(settings.url)}/v1/search?${params.toString()}` };
+      },
+      parseResponse(data) {
+        return (data.features || []).map(feature => {
+          const p = feature.properties || {};
+          return {
+            lat: feature.geometry.coordinates[1],
+            lng: feature.geometry.coordinates[0],
+            formattedAddress: p.label || p.name,
+            placeId: p.gid,
+            type: p.layer,
+            partialMatch: p.match_type === 'fallback',
+            bounds: Geocoder.fromBbox(feature.bbox),
+            countryCode: p.country_code
+          };
+        });
+      },
+      reverse: {
+        buildRequest(lat, lng, settings) {
+          const params = new URLSearchParams({ 'point.lat': lat, 'point.lon': lng, size: '1' });
+          if (settings.apiKey) params.set('api_key', settings.apiKey);
+          return { url: `${Geocoder.trimUrl(settings.url)}/v1/reverse?${params.toString()}` };
+        },
+        parseResponse(data) {
+          return Geocoder.providers.pelias.parseResponse(data);
+        }
+      }
+    },
+
+    mapbox: {
+      label: 'Mapbox',
+      name: 'Mapbox',
+      description: 'Requires access token',
+      settings: [
+        { id: 'apiKey', label: 'Access token', placeholder: 'pk.…', secret: true, required: true }
+      ],
+      rateLimit: 0,
+      concurrency: 5,
+      buildRequest(address, settings, area) {
+        const params = new URLSearchParams({ q: address, limit: '5', access_token: settings.apiKey });
+        if (area && area.bounds) {
+          const box = Geocoder.padBounds(area.bounds);
+          params.set('bbox', `${box.west},${box.south},${box.east},${box.north}`);
+        }
+        if (area && area.countryCode) params.set('country', area.countryCode);
+        return { url: `https://api.mapbox.com/search/geocode/v6/forward?${params.toString()}` };
+      },
+      parseResponse(data) {
+        return (data.features || []).map(feature => {
+          const p = feature.properties || {};
+          return {
+            lat: p.coordinates ? p.coordinates.latitude : feature.geometry.coordinates[1],
+            lng: p.coordinates ? p.coordinates.longitude : feature.geometry.coordinates[0],
+            formattedAddress: p.full_address || p.name,
+            placeId: p.mapbox_id,
+            type: p.feature_type,
+            bounds: Geocoder.fromBbox(p.bbox),
+            countryCode: p.context && p.context.country && p.context.country.country_code
+          };
+        });
+      },
+      reverse: {
+        buildRequest(lat, lng, settings) {
+          const params = new URLSearchParams({ longitude: lng, latitude: lat, limit: '1', access_token: settings.apiKey });
+          return { url: `https://api.mapbox.com/search/geocode/v6/reverse?${params.toString()}` };
+        },
+        parseResponse(data) {
+          return Geocoder.providers.mapbox.parseResponse(data);
+        }
+      }
+    },
+
+    here: {
+      label: 'HERE',
+      name: 'HERE',
+      description: 'Requires API key',
+      settings: [
+        { id: 'apiKey', label: 'API key', secret: true, required: true }
+      ],
+      rateLimit: 0,
+      concurrency: 5,
+      buildRequest(address, settings, area) {
+        const params = new URLSearchParams({ q: address, limit: '5', apiKey: settings.apiKey });
+        // HERE takes ISO 3166-1 alpha-3 countries, so the area only biases by its center
+        if (area && area.bounds) {
+          params.set('at', `${(area.bounds.south + area.bounds.north) / 2},${(area.bounds.west + area.bounds.east) / 2}`);
+        }
+        return { url: `https://geocode.search.hereapi.com/v1/geocode?${params.toString()}` };
+      },
+      parseResponse(data) {
+        return (data.items || []).map(item => ({
+          lat: item.position.lat,
+          lng: item.position.lng,
+          formattedAddress: (item.address && item.address.label) || item.title,
+          placeId: item.id,
+          type: item.resultType,
+          locationType: item.houseNumberType === 'PA' ? 'ROOFTOP' : undefined,
+          bounds: item.mapView ? { ...item.mapView } : undefined
+        }));
+      },
+      reverse: {
+        buildRequest(lat, lng, settings) {
+          const params = new URLSearchParams({ at: `${lat},${lng}`, limit: '1', apiKey: settings.apiKey });
+          return { url: `https://revgeocode.search.hereapi.com/v1/revgeocode?${params.toString()}` };
+        },
+        parseResponse(data) {
+          return Geocoder.providers.here.parseResponse(data);
+        }
+      }
+    },
+
+    custom: {
+      label: 'Custom endpoint',
+      name: 'Custom',
+      description: 'Any JSON geocoder, e.g. a local stand-in',
+      settings: [
+        { id: 'url', label: 'URL template ({query}, {apiKey})', placeholder: 'http://localhost:8080/search?q={query}', required: true },
+        { id: 'apiKey', label: 'API key (optional)', secret: true },
+        { id: 'resultsPath', label: 'Results path (empty if the response is the list)', placeholder: 'features' },
+        { id: 'latPath', label: 'Latitude path', placeholder: 'lat', required: true },
+        { id: 'lngPath', label: 'Longitude path', placeholder: 'lon', required: true },
+        { id: 'labelPath', label: 'Address path', placeholder: 'display_name' },
+        ...LIMIT_SETTINGS
+      ],
+      rateLimit: 0,
+      concurrency: 1,
+      buildRequest(address, settings) {
+        return {
+          url: settings.url
+            .replace(/\{query\}/g, encodeURIComponent(address))
+            .replace(/\{apiKey\}/g, encodeURIComponent(settings.apiKey || ''))
+        };
+      },
+      parseResponse(data, settings) {
+        let results = settings.resultsPath ? Geocoder.readPath(data, settings.resultsPath) : data;
+        if (results && !Array.isArray(results)) results = [results];
+
+        return (results || []).map(r => ({
+          lat: parseFloat(Geocoder.readPath(r, settings.latPath)),
+          lng: parseFloat(Geocoder.readPath(r, settings.lngPath)),
+          formattedAddress: settings.labelPath ? Geocoder.readPath(r, settings.labelPath) : undefined
+        })).filter(r => !isNaN(r.lat) && !isNaN(r.lng));
+      }
+    }
+  },
+
+  DEFAULT_CACHE_TTL: 90,
+
+  // Pending request slot per provider, so parallel callers still respect rateLimit
+  throttles: {},
+
+  /**
+   * Add or replace a provider (see providers for the expected shape)
+   */
+  registerProvider(id, provider) {
+    this.providers[id] = { rateLimit: 0, concurrency: 1, settings: [], ...provider };
+  },
+
+  getProvider(id) {
+    return this.providers[id] || this.providers.osm;
+  },
+
+  /**
+   * Rate limit and concurrency for a provider, with any user overrides
+   */
+  getLimits(id, settings = {}) {
+    const provider = this.getProvider(id);
+    const rateLimit = parseInt(settings.rateLimit);
+    const concurrency = parseInt(settings.concurrency);
+    return {
+      rateLimit: rateLimit >= 0 ? rateLimit : provider.rateLimit,
+      concurrency: concurrency > 0 ? concurrency : provider.concurrency
+    };
+  },
+
+  /**
+   * Whether every required setting has a value
+   */
+  isConfigured(id, settings = {}) {
+    return this.getProvider(id).settings
+      .filter(field => field.required)
+      .every(field => settings[field.id]);
+  },
+
+  /**
+   * Origins a provider sends requests to, for chrome.permissions.request
+   */
+  getHostPermissions(id, settings = {}) {
+    const provider = this.getProvider(id);
+    const builds = [() => provider.buildRequest('test', settings)];
+    if (provider.reverse) builds.push(() => provider.reverse.buildRequest(0, 0, settings));
+
+    const origins = [];
+    builds.forEach(build => {
+      try {
+        const origin = `${new URL(build().url).origin}/*`;
+        if (!origins.includes(origin)) origins.push(origin);
+      } catch (e) {
+        // Incomplete settings, e.g. no server URL yet
+      }
+    });
+    return origins;
+  },
+
+  /**
+   * Settings for every provider, keyed by provider id
+   */
+  async loadSettings() {
+    const stored = await chrome.storage.local.get(['geocoderSettings', 'googleMapsApiKey']);
+    const settings = stored.geocoderSettings || {};
+    // The Google key predates per-provider settings and is also used for map display
+    settings.google = { ...settings.google, apiKey: stored.googleMapsApiKey || null };
+    return settings;
+  },
+
+  /**
+   * Stages to geocode through: the cache, the primary provider, any configured
+   * fallback providers, then the simplified-query retry when enabled.
+   * The chain options are stored under geocoderChain: { fallbacks: [ids], simplify }
+   * @param {string} primary - Provider chosen in the popup
+   */
+  async loadChain(primary) {
+    const stored = await chrome.storage.local.get('geocoderChain');
+    const config = stored.geocoderChain || {};
+    const settings = await this.loadSettings();
+
+    const providers = [primary, ...(config.fallbacks || [])].filter((id, i, ids) =>
+      this.providers[id] && ids.indexOf(id) === i && this.isConfigured(id, settings[id]));
+    if (providers.length === 0) providers.push('osm');
+
+    return ['cache', ...providers, ...(config.simplify ? ['simplified'] : [])];
+  },
+
+  /**
+   * Read a dotted path such as "geometry.coordinates.1" from an object
+   */
+  readPath(object, path) {
+    return String(path || '').split('.').filter(Boolean)
+      .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+  },
+
+  trimUrl(url) {
+    return String(url).trim().replace(/\/+$/, '');
+  },
+
+  /**
+   * Bounds from a Google-style { northeast, southwest } box
+   */
+  toBounds(box) {
+    if (!box) return undefined;
+    return { south: box.southwest.lat, west: box.southwest.lng, north: box.northeast.lat, east: box.northeast.lng };
+  },
+
+  /**
+   * Bounds from a GeoJSON [minLon, minLat, maxLon, maxLat] bbox
+   */
+  fromBbox(bbox) {
+    if (!Array.isArray(bbox) || bbox.length < 4) return undefined;
+    return { west: bbox[0], south: bbox[1], east: bbox[2], north: bbox[3] };
+  },
+
+  /**
+   * How long a provider's results stay cached, in ms
+   */
+  getCacheTtl(id) {
+    return (this.getProvider(id).cacheTtl || this.DEFAULT_CACHE_TTL) * 24 * 60 * 60 * 1000;
+  },
 
   /**
-   * Generate a cache key for an address
+   * Cache entry for an address; the same address in another search area
+   * can resolve elsewhere, so the area is part of it
    */
-  getCacheKey(address, provider) {
-    // Simple hash function for cache key
-    const hash = address.toLowerCase().replace(/\s+/g, '_').substring(0, 100);
-    return `geocode_${provider}_${hash}`;
+  getCacheAddress(address, area) {
+    return area ? `${address} @ ${area.label}` : address;
   },
 
   /**
    * Check cache for a geocoded result
    */
-  async checkCache(address, provider) {
-    const cacheKey = this.getCacheKey(address, provider);
-    const cached = await chrome.storage.local.get(cacheKey);
-    return cached[cacheKey] || null;
+  async checkCache(address, provider, area) {
+    return GeocodeCache.get(this.getCacheAddress(address, area), provider, this.getCacheTtl(provider));
   },
 
   /**
    * Save result to cache
    */
-  async saveToCache(address, provider, result) {
-    const cacheKey = this.getCacheKey(address, provider);
-    await chrome.storage.local.set({ [cacheKey]: result });
+  async saveToCache(address, provider, result, area) {
+    await GeocodeCache.set(this.getCacheAddress(address, area), provider, result);
   },
 
   /**
-   * Geocode using Nominatim (OpenStreetMap)
+   * Wait for this provider's next request slot
    */
-  async geocodeWithNominatim(address) {
+  async throttle(id, interval) {
+    if (!interval) return;
+    const previous = this.throttles[id] || Promise.resolve();
+    this.throttles[id] = previous.then(() => new Promise(r => setTimeout(r, interval)));
+    await previous;
+  },
+
+  /**
+   * Geocode an address using the specified provider
+   * @param {string} address
+   * @param {string} providerId - Key of Geocoder.providers
+   * @param {object} settings - That provider's settings (apiKey, url, ...)
+   * @param {object} area - Resolved search area (see resolveArea) to keep results in
+   * @param {object} options - allowOverBudget: send even past the provider's budget
+   */
+  async geocode(address, providerId, settings = {}, area = null, options = {}) {
+    const id = this.providers[providerId] ? providerId : 'osm';
+    const provider = this.providers[id];
+    settings = settings || {};
+
+    if (!this.isConfigured(id, settings)) {
+      return { success: false, error: 'Provider not configured', invalidKey: true };
+    }
+
     // Check cache first
-    const cached = await this.checkCache(address, 'osm');
+    const cached = await this.checkCache(address, id, area);
     if (cached) {
+      await UsageLedger.record(id, 'cached');
       return { ...cached, fromCache: true };
     }
 
-    // Rate limiting
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastNominatimRequest;
-    if (timeSinceLastRequest < this.nominatimDelay) {
-      await new Promise(r => setTimeout(r, this.nominatimDelay - timeSinceLastRequest));
+    const result = await this.request(id, settings, {
+      label: address,
+      build: () => provider.buildRequest(address, settings, area),
+      parse: data => provider.parseResponse(data, settings),
+      allowOverBudget: options.allowOverBudget
+    });
+
+    // Cache the result
+    if (result.success) {
+      await this.saveToCache(address, id, result, area);
+    }
+    return result;
+  },
+
+  /**
+   * Address at a point, using the specified provider's reverse lookup.
+   * Not cached: clicked points rarely repeat.
+   * @param {number} lat
+   * @param {number} lng
+   * @param {string} providerId - Key of Geocoder.providers; must have reverse
+   * @param {object} settings - That provider's settings
+   */
+  async reverseGeocode(lat, lng, providerId, settings = {}) {
+    const id = this.providers[providerId] ? providerId : 'osm';
+    const reverse = this.providers[id].reverse;
+    settings = settings || {};
+
+    if (!reverse) {
+      return { success: false, error: 'Provider has no reverse lookup' };
     }
-    this.lastNominatimRequest = Date.now();
+    if (!this.isConfigured(id, settings)) {
+      return { success: false, error: 'Provider not configured', invalidKey: true };
+    }
+
+    return this.request(id, settings, {
+      label: `${lat.toFixed(5)}, ${lng.toFixed(5)}`,
+      build: () => reverse.buildRequest(lat, lng, settings),
+      parse: data => reverse.parseResponse(data, settings)
+    });
+  },
+
+  /**
+   * Send one throttled, counted request to a provider and turn its candidates into a result
+   * @param {string} id - Provider id
+   * @param {object} settings - That provider's settings
+   * @param {object} request - label: formattedAddress for candidates without one;
+   *   build: returns { url, headers }; parse: response JSON to candidates, or a failed result;
+   *   allowOverBudget: send even past the provider's budget
+   */
+  async request(id, settings, { label, build, parse, allowOverBudget }) {
+    await this.throttle(id, this.getLimits(id, settings).rateLimit);
 
-    const encodedAddress = encodeURIComponent(address);
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=5&addressdetails=1`;
+    const overBudget = await UsageLedger.reserve(id, allowOverBudget);
+    if (overBudget) {
+      return {
+        success: false,
+        error: `Monthly ${this.getProvider(id).name} budget reached (${overBudget.used.toLocaleString()} of ${overBudget.limit.toLocaleString()} requests)`,
+        overBudget
+      };
+    }
 
+    let candidates;
     try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'RecMapper/1.0 (Chrome Extension for address mapping)'
-        }
-      });
+      const { url, headers } = build();
+      const response = await fetch(url, headers ? { headers } : undefined);
 
+      if (response.status === 429) {
+        return { success: false, error: 'API rate limit exceeded', retryable: true };
+      }
+      if (response.status === 401 || response.status === 403) {
+        return { success: false, error: 'Invalid API key', invalidKey: true };
+      }
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}`);
       }
 
-      const data = await response.json();
-
-      if (data && data.length > 0) {
-        const result = {
-          success: true,
-          lat: parseFloat(data[0].lat),
-          lng: parseFloat(data[0].lon),
-          formattedAddress: data[0].display_name,
-          placeId: data[0].place_id,
-          type: data[0].type,
-          // Include all results for disambiguation if needed
-          allResults: data.map(r => ({
-            lat: parseFloat(r.lat),
-            lng: parseFloat(r.lon),
-            formattedAddress: r.display_name,
-            placeId: r.place_id,
-            type: r.type
-          })),
-          multipleResults: data.length > 1
-        };
-
-        // Cache the result
-        await this.saveToCache(address, 'osm', result);
-        return result;
-      } else {
-        return { success: false, error: 'No results found', noResults: true };
-      }
+      candidates = parse(await response.json());
     } catch (error) {
       return { success: false, error: error.message, networkError: true };
     }
+
+    // Provider-reported failure
+    if (!Array.isArray(candidates)) {
+      return candidates;
+    }
+
+    if (candidates.length === 0) {
+      return { success: false, error: 'No results found', noResults: true };
+    }
+
+    return {
+      success: true,
+      ...candidates[0],
+      formattedAddress: candidates[0].formattedAddress || label,
+      // Include all results for disambiguation
+      allResults: candidates.map(candidate => ({
+        ...candidate,
+        formattedAddress: candidate.formattedAddress || label
+      })),
+      multipleResults: candidates.length > 1
+    };
   },
 
   /**
-   * Geocode using Google Maps API
+   * Provider to reverse geocode with: the first in the chain that supports it,
+   * or OpenStreetMap
    */
-  async geocodeWithGoogle(address, apiKey) {
-    if (!apiKey) {
-      return { success: false, error: 'API key required' };
-    }
+  getReverseProvider(chain, settings = {}) {
+    return chain.find(id => this.providers[id] && this.providers[id].reverse &&
+      this.isConfigured(id, settings[id])) || 'osm';
+  },
 
-    // Check cache first
-    const cached = await this.checkCache(address, 'google');
-    if (cached) {
-      return { ...cached, fromCache: true };
+  /**
+   * Geocode through a chain of stages (see loadChain), moving on to the next
+   * stage while the result is missing, approximate, a partial match or outside
+   * the search area. Returns the first good result, or else the best one seen.
+   * A provider over its budget stops the chain, so the caller can ask first.
+   * @param {string} address
+   * @param {string[]} chain - 'cache', provider ids and 'simplified'
+   * @param {object} settings - Settings for every provider, keyed by provider id
+   * @param {object} options - area: the search area from resolveArea;
+   *   allowOverBudget: send requests even past a provider's budget
+   */
+  async geocodeChain(address, chain, settings = {}, options = {}) {
+    let area = options.area || null;
+
+    // An area no provider could place falls back to being part of the query
+    if (area && !area.bounds) {
+      address = this.appendArea(address, area.label);
+      area = null;
     }
 
-    const encodedAddress = encodeURIComponent(address);
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedAddress}&key=${apiKey}`;
+    const providers = chain.filter(stage => this.providers[stage]);
+    const lookup = (query, id) => this.geocode(query, id, settings[id], area, { allowOverBudget: options.allowOverBudget });
+    const simplified = chain.includes('simplified') ? this.simplifyQuery(address) : address;
+    const results = [];
 
-    try {
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.status === 'OK' && data.results.length > 0) {
-        const firstResult = data.results[0];
-        const result = {
-          success: true,
-          lat: firstResult.geometry.location.lat,
-          lng: firstResult.geometry.location.lng,
-          formattedAddress: firstResult.formatted_address,
-          placeId: firstResult.place_id,
-          locationType: firstResult.geometry.location_type,
-          partialMatch: firstResult.partial_match || false,
-          types: firstResult.types,
-          // Include all results for disambiguation
-          allResults: data.results.map(r => ({
-            lat: r.geometry.location.lat,
-            lng: r.geometry.location.lng,
-            formattedAddress: r.formatted_address,
-            placeId: r.place_id,
-            locationType: r.geometry.location_type
-          })),
-          multipleResults: data.results.length > 1
-        };
+    // Record a stage's result; returns it if no escalation is needed
+    const attempt = (result, stage, provider, query) => {
+      const tagged = { ...result, stage, provider, query, simplified: query !== address };
+      if (area && result.success && !this.isInBounds(result, area.bounds)) {
+        tagged.outsideArea = true;
+      }
+      results.push(tagged);
+      return this.needsEscalation(tagged) ? null : tagged;
+    };
 
-        // Cache the result
-        await this.saveToCache(address, 'google', result);
-        return result;
-      } else if (data.status === 'ZERO_RESULTS') {
-        return { success: false, error: 'No results found', noResults: true };
-      } else if (data.status === 'OVER_QUERY_LIMIT') {
-        return { success: false, error: 'API rate limit exceeded', retryable: true };
-      } else if (data.status === 'REQUEST_DENIED') {
-        return { success: false, error: 'Invalid API key', invalidKey: true };
-      } else {
-        return { success: false, error: data.status || 'Unknown error' };
+    for (const stage of chain) {
+      let accepted = null;
+
+      if (stage === 'cache') {
+        // Any provider's earlier answer, to either query, saves a request
+        for (const query of new Set([address, simplified])) {
+          for (const id of providers) {
+            const cached = await this.checkCache(query, id, area);
+            if (cached && (accepted = attempt({ ...cached, fromCache: true }, 'cache', id, query))) {
+              // Weak hits aren't counted here; the provider's own stage finds them again
+              await UsageLedger.record(id, 'cached');
+              break;
+            }
+          }
+          if (accepted) break;
+        }
+      } else if (stage === 'simplified') {
+        if (simplified === address) continue;
+        for (const id of providers) {
+          const result = await lookup(simplified, id);
+          if (result.overBudget) return result;
+          if ((accepted = attempt(result, 'simplified', id, simplified))) break;
+        }
+      } else if (this.providers[stage]) {
+        const result = await lookup(address, stage);
+        if (result.overBudget) return result;
+        accepted = attempt(result, stage, stage, address);
       }
-    } catch (error) {
-      return { success: false, error: error.message, networkError: true };
+
+      if (accepted) return accepted;
     }
+
+    return this.pickBest(results) ||
+      { success: false, error: 'No results found', noResults: true };
   },
 
   /**
-   * Geocode an address using the specified provider
+   * Whether a result is weak enough to try the next stage
    */
-  async geocode(address, provider, apiKey) {
-    if (provider === 'google') {
-      return this.geocodeWithGoogle(address, apiKey);
-    } else {
-      return this.geocodeWithNominatim(address);
-    }
+  needsEscalation(result) {
+    if (!result.success) return true;
+    return result.locationType === 'APPROXIMATE' || !!result.partialMatch || !!result.outsideArea;
   },
 
   /**
-   * Batch geocode with progress callback
+   * Best of several weak results: found beats not found, inside the search
+   * area beats outside, precise beats approximate, earlier stages win ties
    */
-  async geocodeBatch(addresses, provider, apiKey, onProgress) {
-    const results = [];
+  pickBest(results) {
+    const score = r => (r.success ? 4 : 0) +
+      (r.success && !r.outsideArea ? 2 : 0) +
+      (r.success && r.locationType !== 'APPROXIMATE' && !r.partialMatch ? 1 : 0);
 
-    for (let i = 0; i < addresses.length; i++) {
-      if (onProgress) {
-        onProgress(i + 1, addresses.length, addresses[i].address);
-      }
+    return results.reduce((best, r) => (!best || score(r) > score(best) ? r : best), null);
+  },
+
+  /**
+   * Bounds grown by a fraction of their size on every side
+   */
+  padBounds(bounds, fraction = 0.2) {
+    const padLat = (bounds.north - bounds.south) * fraction;
+    const padLng = (bounds.east - bounds.west) * fraction;
+    // Six decimals (~10cm) keep request URLs readable
+    const round = value => Math.round(value * 1e6) / 1e6;
+    return {
+      south: round(bounds.south - padLat),
+      west: round(bounds.west - padLng),
+      north: round(bounds.north + padLat),
+      east: round(bounds.east + padLng)
+    };
+  },
 
-      const result = await this.geocode(addresses[i].address, provider, apiKey);
+  /**
+   * Whether a point lies in the bounds, padded by a fifth of their size so
+   * suburbs just past a city's outline still count
+   */
+  isInBounds(point, bounds) {
+    const box = this.padBounds(bounds);
+    return point.lat >= box.south && point.lat <= box.north &&
+      point.lng >= box.west && point.lng <= box.east;
+  },
 
-      results.push({
-        ...addresses[i],
-        geocode: result
-      });
+  /**
+   * Resolve a search area such as "Portland, OR" to its bounding box and
+   * country, using the first provider in the chain that returns a box.
+   * An area nobody can place comes back with bounds and countryCode null.
+   */
+  async resolveArea(searchArea, chain, settings = {}) {
+    if (!searchArea) return null;
 
-      // Small additional delay for Google to avoid rate limits
-      if (provider === 'google' && i < addresses.length - 1 && !result.fromCache) {
-        await new Promise(r => setTimeout(r, 100));
+    for (const id of chain.filter(stage => this.providers[stage])) {
+      const result = await this.geocode(searchArea, id, settings[id]);
+      if (result.success && result.bounds) {
+        return {
+          label: searchArea,
+          bounds: result.bounds,
+          countryCode: result.countryCode ? result.countryCode.toLowerCase() : null
+        };
       }
     }
+    return { label: searchArea, bounds: null, countryCode: null };
+  },
 
-    return results;
+  /**
+   * Add the search area to an address that doesn't already mention it
+   */
+  appendArea(address, searchArea) {
+    if (searchArea && !address.toLowerCase().includes(searchArea.toLowerCase())) {
+      return `${address}, ${searchArea}`;
+    }
+    return address;
   },
 
   /**
-   * Clear geocode cache
+   * Strip unit numbers and a leading business or building name, e.g.
+   * "Joe's Pizza, 12 Main St Suite 4, Springfield" -> "12 Main St, Springfield"
    */
-  async clearCache(provider) {
-    const items = await chrome.storage.local.get();
-    const prefix = provider ? `geocode_${provider}_` : 'geocode_';
-    const keysToRemove = Object.keys(items).filter(k => k.startsWith(prefix));
+  simplifyQuery(address) {
+    let parts = address.split(',').map(part => part.trim()).filter(Boolean);
 
-    if (keysToRemove.length > 0) {
-      await chrome.storage.local.remove(keysToRemove);
-    }
+    const street = parts.findIndex(part => /^\d/.test(part) || (/\d/.test(part) && STREET_WORDS.test(part)));
+    if (street > 0) parts = parts.slice(street);
+
+    return parts
+      .map(part => UNIT_PATTERNS.reduce((text, pattern) => text.replace(pattern, ''), part)
+        .replace(/\s{2,}/g, ' ')
+        .trim())
+      .filter(Boolean)
+      .join(', ');
+  },
 
-    return keysToRemove.length;
+  /**
+   * Short description of the stage behind a chain result, e.g. "Google, simplified query"
+   */
+  describeStage(result) {
+    const name = (this.providers[result.provider] && this.providers[result.provider].name) || result.provider;
+    return [name, result.simplified && 'simplified query', result.stage === 'cache' && 'cached']
+      .filter(Boolean)
+      .join(', ');
+  },
+
+  /**
+   * Clear geocode cache, for one provider or all
+   */
+  async clearCache(provider) {
+    return GeocodeCache.clear(provider);
   }
 };
 
@@ -7,6 +7,11 @@ class GoogleMapProvider extends MapProvider {
     super(container);
     this.apiKey = apiKey;
     this.infoWindow = null;
+    this.clusterMarkers = [];
+    this.density = null;
+    this.densityPolygons = [];
+    this.densityZoom = null;
+    this.drawing = null;
   }
 
   /**
@@ -59,6 +64,13 @@ class GoogleMapProvider extends MapProvider {
     // Create a single info window to reuse
     this.infoWindow = new google.maps.InfoWindow();
 
+    // Re-cluster whenever the view settles
+    this.map.addListener('idle', () => {
+      if (this.clustering) this.renderMarkers();
+      // Hexagons are sized in pixels, so rebuild them when the zoom changes
+      if (this.density && this.densityZoom !== this.map.getZoom()) this.renderDensity();
+    });
+
     return this;
   }
 
@@ -66,17 +78,53 @@ class GoogleMapProvider extends MapProvider {
    * Add a marker to the map
    */
   addMarker(lat, lng, title, options = {}) {
+    const marker = this.createMarker(lat, lng, title, options);
+    this.markers.push(marker);
+
+    if (this.clustering) {
+      this.renderMarkers();
+    } else {
+      marker.setMap(this.map);
+    }
+    return marker;
+  }
+
+  /**
+   * Add many markers and draw them once
+   */
+  addMarkers(entries) {
+    const markers = entries.map(entry => this.createMarker(entry.lat, entry.lng, entry.title, entry.options));
+    this.markers.push(...markers);
+    this.renderMarkers();
+    return markers;
+  }
+
+  /**
+   * Remove some markers, leaving the others on the map
+   */
+  removeMarkers(markers) {
+    const removed = new Set(markers);
+    markers.forEach(marker => marker.setMap(null));
+    this.markers = this.markers.filter(marker => !removed.has(marker));
+    if (this.clustering) this.renderMarkers();
+  }
+
+  /**
+   * Build a marker with its info window handler, without adding it to the map
+   */
+  createMarker(lat, lng, title, options = {}) {
     const markerOptions = {
       position: { lat, lng },
-      map: this.map,
-      title: title
+      map: null,
+      title: title,
+      draggable: !!options.onDragEnd
     };
 
     // Add label if provided
     if (options.label) {
       markerOptions.label = {
         text: String(options.label),
-        color: 'white',
+        color: options.warning ? '#fde68a' : 'white',
         fontWeight: 'bold',
         fontSize: '12px'
       };
@@ -84,8 +132,16 @@ class GoogleMapProvider extends MapProvider {
 
     const marker = new google.maps.Marker(markerOptions);
 
+    if (options.onDragEnd) {
+      marker.addListener('dragend', (e) => options.onDragEnd(e.latLng.lat(), e.latLng.lng()));
+    }
+
     // Create info window content
     let content = `<div style="max-width: 250px; font-family: sans-serif; font-size: 13px;">`;
+    if (options.fields && options.fields.name) {
+      content += `<div style="font-weight: 600; margin-bottom: 4px;">${this.escapeHtml(options.fields.name)}</div>`;
+    }
+
     content += `<strong>${this.escapeHtml(options.formattedAddress || title)}</strong>`;
 
     if (options.originalAddress && options.originalAddress !== options.formattedAddress) {
@@ -93,11 +149,27 @@ class GoogleMapProvider extends MapProvider {
       content += `<em>Original: ${this.escapeHtml(options.originalAddress)}</em></div>`;
     }
 
+    if (options.fields) {
+      Object.keys(MapProvider.fieldLabels)
+        .filter(key => key !== 'name' && options.fields[key])
+        .forEach(key => {
+          const value = key === 'website' && MapProvider.isWebUrl(options.fields[key]) ?
+            `<a href="${this.escapeHtml(options.fields[key])}" target="_blank" rel="noopener">${this.escapeHtml(options.fields[key])}</a>` :
+            this.escapeHtml(options.fields[key]);
+          content += `<div style="margin-top: 4px; font-size: 11px; word-break: break-word;">`;
+          content += `<span style="color: #666;">${MapProvider.fieldLabels[key]}:</span> ${value}</div>`;
+        });
+    }
+
     if (options.matchQuality) {
-      const color = options.matchQuality === 'Exact match' ? '#059669' : '#b45309';
+      const color = options.matchQuality.startsWith('Exact match') ? '#059669' : '#b45309';
       content += `<div style="margin-top: 4px; font-size: 10px; color: ${color};">${options.matchQuality}</div>`;
     }
 
+    if (options.warning) {
+      content += `<div style="margin-top: 4px; font-size: 11px; font-weight: 600; color: #b45309;">⚠ ${this.escapeHtml(options.warning)}</div>`;
+    }
+
     content += `</div>`;
 
     // Click handler to show info window
@@ -106,10 +178,382 @@ class GoogleMapProvider extends MapProvider {
       this.infoWindow.open(this.map, marker);
     });
 
-    this.markers.push(marker);
     return marker;
   }
 
+  /**
+   * Turn clustering on or off and redraw
+   */
+  setClustering(enabled) {
+    this.clustering = enabled;
+    this.renderMarkers();
+  }
+
+  /**
+   * Show markers, grouping markers near each other in the current view
+   * into clusters when clustering is on
+   */
+  renderMarkers() {
+    this.clusterMarkers.forEach(cluster => cluster.setMap(null));
+    this.clusterMarkers = [];
+
+    const projection = this.map.getProjection();
+    const bounds = this.map.getBounds();
+    const zoom = this.map.getZoom();
+
+    // The projection is only ready after the first idle event
+    if (!this.clustering || !projection || !bounds || zoom >= MapProvider.CLUSTER_MAX_ZOOM) {
+      this.markers.forEach(marker => {
+        if (marker.getMap() !== this.map) marker.setMap(this.map);
+      });
+      return;
+    }
+
+    const visible = [];
+    this.markers.forEach(marker => {
+      if (bounds.contains(marker.getPosition())) {
+        visible.push(marker);
+      } else {
+        marker.setMap(null);
+      }
+    });
+
+    const scale = Math.pow(2, zoom);
+    const points = visible.map(marker => {
+      const point = projection.fromLatLngToPoint(marker.getPosition());
+      return { x: point.x * scale, y: point.y * scale };
+    });
+
+    MapProvider.clusterPoints(points).forEach(group => {
+      if (group.length === 1) {
+        const marker = visible[group[0]];
+        if (marker.getMap() !== this.map) marker.setMap(this.map);
+        return;
+      }
+
+      const members = group.map(i => visible[i]);
+      members.forEach(marker => marker.setMap(null));
+      this.clusterMarkers.push(this.createClusterMarker(members));
+    });
+  }
+
+  /**
+   * Create a count bubble that zooms in to its members when clicked
+   */
+  createClusterMarker(members) {
+    const positions = members.map(marker => marker.getPosition());
+    const center = {
+      lat: positions.reduce((sum, p) => sum + p.lat(), 0) / positions.length,
+      lng: positions.reduce((sum, p) => sum + p.lng(), 0) / positions.length
+    };
+    const size = MapProvider.clusterSize(members.length);
+
+    const cluster = new google.maps.Marker({
+      position: center,
+      map: this.map,
+      title: `${members.length} locations`,
+      label: {
+        text: String(members.length),
+        color: 'white',
+        fontWeight: 'bold',
+        fontSize: '12px'
+      },
+      icon: {
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: { small: 16, medium: 19, large: 23 }[size],
+        fillColor: '#667eea',
+        fillOpacity: 0.9,
+        strokeColor: 'white',
+        strokeWeight: 3
+      },
+      zIndex: google.maps.Marker.MAX_ZINDEX + members.length
+    });
+
+    cluster.addListener('click', () => {
+      const bounds = new google.maps.LatLngBounds();
+      positions.forEach(position => bounds.extend(position));
+      this.map.fitBounds(bounds);
+    });
+
+    return cluster;
+  }
+
+  /**
+   * Show a hexbin density layer beneath the markers
+   */
+  setDensityLayer(points, options = {}) {
+    this.density = { points, options };
+    this.renderDensity();
+  }
+
+  /**
+   * Remove the density layer
+   */
+  clearDensityLayer() {
+    this.density = null;
+    this.densityPolygons.forEach(polygon => polygon.setMap(null));
+    this.densityPolygons = [];
+  }
+
+  /**
+   * Draw the density hexagons for the current zoom level
+   */
+  renderDensity() {
+    this.densityPolygons.forEach(polygon => polygon.setMap(null));
+    this.densityPolygons = [];
+
+    // The projection is only ready after the first idle event
+    const projection = this.map.getProjection();
+    if (!projection) return;
+
+    const { points, options } = this.density;
+    const zoom = this.map.getZoom();
+    const scale = Math.pow(2, zoom);
+    const radius = options.radius || MapProvider.DENSITY_RADIUS;
+    this.densityZoom = zoom;
+
+    const projected = points.map(point => {
+      const world = projection.fromLatLngToPoint(new google.maps.LatLng(point.lat, point.lng));
+      return { x: world.x * scale, y: world.y * scale, weight: point.weight };
+    });
+
+    const bins = MapProvider.hexbin(projected, radius);
+    const max = bins.reduce((highest, bin) => Math.max(highest, bin.weight), 0);
+
+    bins.forEach(bin => {
+      const ratio = max > 0 ? bin.weight / max : 0;
+      const paths = MapProvider.hexCorners(bin.x, bin.y, radius)
+        .map(([x, y]) => projection.fromPointToLatLng(new google.maps.Point(x / scale, y / scale)));
+
+      const polygon = new google.maps.Polygon({
+        paths,
+        map: this.map,
+        strokeWeight: 0,
+        fillColor: MapProvider.densityColor(ratio),
+        fillOpacity: 0.2 + 0.5 * ratio,
+        zIndex: 0
+      });
+
+      const label = MapProvider.describeDensityBin(bin, options.weightLabel);
+      polygon.addListener('click', (e) => {
+        this.infoWindow.setContent(this.escapeHtml(label));
+        this.infoWindow.setPosition(e.latLng);
+        this.infoWindow.open(this.map);
+      });
+
+      this.densityPolygons.push(polygon);
+    });
+  }
+
+  /**
+   * Draw a line through the given points
+   */
+  drawPolyline(points, options = {}) {
+    return new google.maps.Polyline({
+      path: points.map(p => ({ lat: p.lat, lng: p.lng })),
+      map: this.map,
+      strokeColor: options.color || '#667eea',
+      strokeWeight: options.weight || 4,
+      strokeOpacity: options.opacity || 0.8,
+      clickable: false
+    });
+  }
+
+  /**
+   * Draw a circle with a radius in kilometres
+   */
+  drawCircle(center, radiusKm, options = {}) {
+    return new google.maps.Circle({
+      center: { lat: center.lat, lng: center.lng },
+      radius: radiusKm * 1000,
+      map: this.map,
+      strokeColor: options.color || '#667eea',
+      strokeWeight: 2,
+      fillColor: options.color || '#667eea',
+      fillOpacity: 0.06,
+      clickable: false
+    });
+  }
+
+  /**
+   * Draw a fixed-size dot marking a point that is not a location
+   */
+  drawPoint(lat, lng, options = {}) {
+    return new google.maps.Marker({
+      position: { lat, lng },
+      map: this.map,
+      title: options.title || '',
+      icon: {
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: 8,
+        fillColor: options.color || '#dc2626',
+        fillOpacity: 1,
+        strokeColor: 'white',
+        strokeWeight: 3
+      }
+    });
+  }
+
+  /**
+   * Call back with the coordinates of clicks on the map background
+   */
+  onMapClick(callback) {
+    this.map.addListener('click', e => callback(e.latLng.lat(), e.latLng.lng()));
+  }
+
+  /**
+   * Call back with the coordinates of right-clicks on the map background
+   */
+  onMapContextMenu(callback) {
+    this.map.addListener('rightclick', e => callback(e.latLng.lat(), e.latLng.lng()));
+  }
+
+  openPopup(lat, lng, content) {
+    this.infoWindow.setContent(content);
+    this.infoWindow.setPosition({ lat, lng });
+    this.infoWindow.open(this.map);
+  }
+
+  closePopup() {
+    this.infoWindow.close();
+  }
+
+  /**
+   * Let the user draw a polygon, rectangle or circle on the map
+   */
+  startDrawing(type, onComplete) {
+    this.cancelDrawing();
+
+    const map = this.map;
+    const style = { strokeColor: '#dc2626', strokeWeight: 2, fillColor: '#dc2626', fillOpacity: 0.08, clickable: false, map };
+    const drawing = { onComplete, listeners: [], preview: null };
+    this.drawing = drawing;
+
+    map.setOptions({ draggable: false, disableDoubleClickZoom: true, draggableCursor: 'crosshair' });
+
+    const listen = (event, handler) => drawing.listeners.push(map.addListener(event, handler));
+    const toPoint = latLng => ({ lat: latLng.lat(), lng: latLng.lng() });
+    const finish = shape => {
+      this.endDrawing();
+      onComplete(shape);
+    };
+
+    if (type === 'polygon') {
+      const points = [];
+      const update = cursor => {
+        const path = cursor ? [...points, cursor] : points;
+        if (drawing.preview) {
+          drawing.preview.setPath(path);
+        } else {
+          drawing.preview = new google.maps.Polygon({ ...style, paths: path });
+        }
+      };
+
+      listen('click', e => {
+        // A double-click also fires clicks; don't add the same vertex twice
+        const last = points[points.length - 1];
+        if (last && last.equals(e.latLng)) return;
+        points.push(e.latLng);
+        update(e.latLng);
+      });
+      listen('mousemove', e => {
+        if (points.length > 0) update(e.latLng);
+      });
+      listen('dblclick', () => {
+        if (points.length >= 3) {
+          finish({ type: 'polygon', points: points.map(toPoint) });
+        }
+      });
+    } else {
+      let start = null;
+      let shape = null;
+
+      listen('mousedown', e => {
+        start = e.latLng;
+      });
+      listen('mousemove', e => {
+        if (!start) return;
+        if (drawing.preview) drawing.preview.setMap(null);
+
+        if (type === 'rectangle') {
+          const bounds = new google.maps.LatLngBounds();
+          bounds.extend(start);
+          bounds.extend(e.latLng);
+          drawing.preview = new google.maps.Rectangle({ ...style, bounds });
+          shape = {
+            type: 'rectangle',
+            bounds: {
+              south: bounds.getSouthWest().lat(),
+              west: bounds.getSouthWest().lng(),
+              north: bounds.getNorthEast().lat(),
+              east: bounds.getNorthEast().lng()
+            }
+          };
+        } else {
+          const radiusKm = RoutePlanner.haversine(toPoint(start), toPoint(e.latLng));
+          drawing.preview = new google.maps.Circle({ ...style, center: start, radius: radiusKm * 1000 });
+          shape = { type: 'circle', center: toPoint(start), radiusKm };
+        }
+      });
+      listen('mouseup', () => {
+        if (shape) finish(shape);
+        start = null;
+      });
+    }
+  }
+
+  /**
+   * Abandon a drawing in progress
+   */
+  cancelDrawing() {
+    if (!this.drawing) return;
+    const { onComplete } = this.drawing;
+    this.endDrawing();
+    onComplete(null);
+  }
+
+  endDrawing() {
+    const drawing = this.drawing;
+    this.drawing = null;
+
+    drawing.listeners.forEach(listener => listener.remove());
+    if (drawing.preview) drawing.preview.setMap(null);
+
+    this.map.setOptions({ draggable: true, disableDoubleClickZoom: false, draggableCursor: null });
+  }
+
+  /**
+   * Draw a finished shape
+   */
+  drawShape(shape, options = {}) {
+    const style = {
+      map: this.map,
+      strokeColor: options.color || '#dc2626',
+      strokeWeight: 2,
+      fillColor: options.color || '#dc2626',
+      fillOpacity: 0.05,
+      clickable: false
+    };
+
+    switch (shape.type) {
+      case 'polygon':
+        return new google.maps.Polygon({ ...style, paths: shape.points });
+      case 'rectangle':
+        return new google.maps.Rectangle({ ...style, bounds: shape.bounds });
+      case 'circle':
+        return new google.maps.Circle({ ...style, center: shape.center, radius: shape.radiusKm * 1000 });
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Remove an overlay returned by one of the draw methods
+   */
+  removeOverlay(overlay) {
+    if (overlay) overlay.setMap(null);
+  }
+
   /**
    * Set the map center
    */
@@ -147,6 +591,9 @@ class GoogleMapProvider extends MapProvider {
     });
     this.markers = [];
 
+    this.clusterMarkers.forEach(cluster => cluster.setMap(null));
+    this.clusterMarkers = [];
+
     if (this.infoWindow) {
       this.infoWindow.close();
     }
@@ -165,6 +612,7 @@ class GoogleMapProvider extends MapProvider {
    * Clean up
    */
   destroy() {
+    this.clearDensityLayer();
     super.destroy();
     if (this.infoWindow) {
       this.infoWindow.close();
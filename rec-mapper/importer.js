@@ -0,0 +1,217 @@
+/**
+ * Importer - Parses CSV/TSV files or pasted address lists into map items
+ */
+
+const Importer = {
+  delimiters: ['\t', ',', ';', '|'],
+
+  // Header names recognized when guessing columns
+  columnHints: {
+    address: /^(full[\s_-]?)?(address|addr|location|street|place)$/i,
+    lat: /^(lat|latitude|y)$/i,
+    lng: /^(lng|lon|long|longitude|x)$/i
+  },
+
+  /**
+   * Pick the delimiter that splits lines into a consistent number of columns.
+   * Returns null for a plain list (one address per line), since addresses
+   * themselves contain commas: commas only count when the lines look like a table.
+   */
+  detectDelimiter(text) {
+    const lines = this.splitLines(text).slice(0, 20);
+    let best = null;
+    let bestCount = 0;
+
+    this.delimiters.forEach(delimiter => {
+      const rows = lines.map(line => this.parseLine(line, delimiter));
+      const counts = rows.map(row => row.length);
+      const consistent = counts.every(count => count === counts[0]);
+      if (!consistent || counts[0] - 1 <= bestCount) return;
+      if (delimiter === ',' && !this.looksTabular(rows)) return;
+
+      best = delimiter;
+      bestCount = counts[0] - 1;
+    });
+
+    return best;
+  },
+
+  /**
+   * Whether comma-split lines are a table rather than addresses such as
+   * "123 Main St, Springfield, IL": a header naming a known column, or
+   * columns of different kinds, e.g. coordinates or links next to text
+   */
+  looksTabular(rows) {
+    const header = rows[0];
+    if (rows.length > 1 && header.some(cell => Object.values(this.columnHints).some(hint => hint.test(cell)))) {
+      return true;
+    }
+
+    const kinds = new Set(rows.flatMap(row => row.filter(Boolean).map(cell => this.getCellKind(cell))));
+    return kinds.size > 1;
+  },
+
+  /**
+   * 'coordinate', 'link' or 'text'. Whole numbers count as text, since
+   * ZIP codes and house numbers are address parts.
+   */
+  getCellKind(cell) {
+    if (/^-?\d+\.\d+$/.test(cell)) return 'coordinate';
+    if (/^(?:https?:\/\/|www\.)|^[\w.+-]+@[\w-]+\.[\w.]+$/i.test(cell)) return 'link';
+    return 'text';
+  },
+
+  /**
+   * Split one line, honoring double-quoted fields
+   */
+  parseLine(line, delimiter) {
+    if (!delimiter) return [line];
+
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (inQuotes) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === '') {
+        field = '';
+        inQuotes = true;
+      } else if (char === delimiter) {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    fields.push(field.trim());
+    return fields;
+  },
+
+  /**
+   * Split text into logical lines, keeping newlines inside quoted fields
+   */
+  splitLines(text) {
+    const lines = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (const char of text) {
+      if (char === '"') inQuotes = !inQuotes;
+
+      if ((char === '\n' || char === '\r') && !inQuotes) {
+        if (current.trim()) lines.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) lines.push(current);
+    return lines;
+  },
+
+  /**
+   * Parse delimited text or a plain list of addresses
+   * @param {string} text
+   * @param {string|null} [delimiter] - Override detection; null for one address per line
+   * @returns {{ delimiter: string|null, headers: string[], rows: string[][], hasHeader: boolean }}
+   */
+  parse(text, delimiter) {
+    text = text.replace(/^\uFEFF/, '');
+    if (delimiter === undefined) {
+      delimiter = this.detectDelimiter(text);
+    }
+
+    const lines = this.splitLines(text);
+    const table = lines.map(line => this.parseLine(line, delimiter));
+
+    const hasHeader = table.length > 1 && this.looksLikeHeader(table[0]);
+    const columnCount = Math.max(0, ...table.map(row => row.length));
+    const headers = hasHeader ?
+      table[0] :
+      Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+
+    return {
+      delimiter,
+      headers,
+      rows: hasHeader ? table.slice(1) : table,
+      hasHeader
+    };
+  },
+
+  /**
+   * A header row has no numeric-only cells and either a known column name
+   * or several short, digit-free labels
+   */
+  looksLikeHeader(row) {
+    if (row.some(cell => /^-?\d+(\.\d+)?$/.test(cell))) return false;
+    return row.some(cell => Object.values(this.columnHints).some(hint => hint.test(cell))) ||
+      (row.length > 1 && row.every(cell => cell.length > 0 && cell.length < 30 && !/\d/.test(cell)));
+  },
+
+  /**
+   * Guess the address and coordinate columns from the headers
+   */
+  guessColumns(headers) {
+    const find = hint => headers.findIndex(h => hint.test(h.trim()));
+    const address = find(this.columnHints.address);
+
+    return {
+      address: address >= 0 ? address : 0,
+      lat: find(this.columnHints.lat),
+      lng: find(this.columnHints.lng)
+    };
+  },
+
+  /**
+   * Turn parsed rows into map items
+   * @param {string[][]} rows
+   * @param {{ address: number, lat: number, lng: number }} columns - lat/lng of -1 means geocode
+   */
+  toAddresses(rows, columns) {
+    return rows.map((row, index) => {
+      const address = (row[columns.address] || '').trim();
+      const item = {
+        index,
+        address,
+        type: 'import',
+        url: null,
+        rawText: row.filter(Boolean).join(', '),
+        excluded: false
+      };
+
+      if (columns.lat >= 0 && columns.lng >= 0) {
+        const lat = parseFloat(row[columns.lat]);
+        const lng = parseFloat(row[columns.lng]);
+        if (this.isValidCoordinate(lat, lng)) {
+          item.coordinates = { lat, lng, source: 'import' };
+          item.address = address || `${lat}, ${lng}`;
+        }
+      }
+
+      return item;
+    }).filter(item => item.address || item.coordinates);
+  },
+
+  isValidCoordinate(lat, lng) {
+    return !isNaN(lat) && !isNaN(lng) &&
+      Math.abs(lat) <= 90 && Math.abs(lng) <= 180 &&
+      !(lat === 0 && lng === 0);
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.Importer = Importer;
+}
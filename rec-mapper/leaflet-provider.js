@@ -5,6 +5,12 @@
 class LeafletMapProvider extends MapProvider {
   constructor(container) {
     super(container);
+    this.markerLayer = null;
+    this.clusterLayers = new Map(); // Cluster bubbles on the map, keyed by their members
+    this.renderScheduled = false;
+    this.densityLayer = null;
+    this.density = null;
+    this.drawing = null;
   }
 
   /**
@@ -28,15 +34,28 @@ class LeafletMapProvider extends MapProvider {
       attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
     }).addTo(this.map);
 
+    // Markers and cluster bubbles live in one layer; redraws only swap what changed,
+    // so an open popup survives panning
+    this.markerLayer = L.layerGroup().addTo(this.map);
+    this.map.on('zoomend moveend', () => {
+      if (this.clustering) this.renderMarkers();
+    });
+
+    // Hexagons are sized in pixels, so the density layer is rebuilt per zoom level
+    this.densityLayer = L.layerGroup().addTo(this.map);
+    this.map.on('zoomend', () => {
+      if (this.density) this.renderDensity();
+    });
+
     return this;
   }
 
   /**
    * Create a numbered icon for markers
    */
-  createNumberedIcon(number) {
+  createNumberedIcon(number, suspicious = false) {
     return L.divIcon({
-      className: 'leaflet-numbered-marker',
+      className: suspicious ? 'leaflet-numbered-marker suspicious' : 'leaflet-numbered-marker',
       html: `<div class="marker-number">${number}</div>`,
       iconSize: [30, 30],
       iconAnchor: [15, 30],
@@ -48,28 +67,92 @@ class LeafletMapProvider extends MapProvider {
    * Add a marker to the map
    */
   addMarker(lat, lng, title, options = {}) {
+    const marker = this.createMarker(lat, lng, title, options);
+    this.markers.push(marker);
+    this.scheduleRender();
+    return marker;
+  }
+
+  /**
+   * Redraw once after a run of addMarker() calls instead of after each one
+   */
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    Promise.resolve().then(() => {
+      this.renderScheduled = false;
+      if (this.map) this.renderMarkers();
+    });
+  }
+
+  /**
+   * Add many markers and draw them once
+   */
+  addMarkers(entries) {
+    const markers = entries.map(entry => this.createMarker(entry.lat, entry.lng, entry.title, entry.options));
+    this.markers.push(...markers);
+    this.renderMarkers();
+    return markers;
+  }
+
+  /**
+   * Remove some markers and redraw the rest in place
+   */
+  removeMarkers(markers) {
+    const removed = new Set(markers);
+    this.markers = this.markers.filter(marker => !removed.has(marker));
+    this.renderMarkers();
+  }
+
+  /**
+   * Build a marker with its popup and tooltip, without adding it to the map
+   */
+  createMarker(lat, lng, title, options = {}) {
     const markerOptions = {};
 
     // Use numbered icon if label provided
     if (options.label) {
-      markerOptions.icon = this.createNumberedIcon(options.label);
+      markerOptions.icon = this.createNumberedIcon(options.label, !!options.warning);
     }
 
-    const marker = L.marker([lat, lng], markerOptions).addTo(this.map);
+    if (options.onDragEnd) {
+      markerOptions.draggable = true;
+    }
+
+    const marker = L.marker([lat, lng], markerOptions);
+
+    if (options.onDragEnd) {
+      marker.on('dragend', () => {
+        const position = marker.getLatLng();
+        options.onDragEnd(position.lat, position.lng);
+      });
+    }
 
     // Create popup content
     let popupContent = `<div class="leaflet-popup-content-inner">`;
+    if (options.fields && options.fields.name) {
+      popupContent += `<div class="popup-name">${this.escapeHtml(options.fields.name)}</div>`;
+    }
+
     popupContent += `<strong>${this.escapeHtml(options.formattedAddress || title)}</strong>`;
 
     if (options.originalAddress && options.originalAddress !== options.formattedAddress) {
       popupContent += `<div class="popup-original">Original: ${this.escapeHtml(options.originalAddress)}</div>`;
     }
 
+    if (options.fields) {
+      popupContent += this.renderFields(options.fields);
+    }
+
     if (options.matchQuality) {
-      const qualityClass = options.matchQuality === 'Exact match' ? 'quality-good' : 'quality-approx';
+      const qualityClass = options.matchQuality.startsWith('Exact match') ? 'quality-good' : 'quality-approx';
       popupContent += `<div class="popup-quality ${qualityClass}">${options.matchQuality}</div>`;
     }
 
+    if (options.warning) {
+      popupContent += `<div class="popup-warning">⚠ ${this.escapeHtml(options.warning)}</div>`;
+    }
+
     popupContent += `</div>`;
 
     marker.bindPopup(popupContent, {
@@ -80,10 +163,358 @@ class LeafletMapProvider extends MapProvider {
       marker.bindTooltip(title);
     }
 
-    this.markers.push(marker);
     return marker;
   }
 
+  /**
+   * Turn clustering on or off and redraw
+   */
+  setClustering(enabled) {
+    this.clustering = enabled;
+    this.renderMarkers();
+  }
+
+  /**
+   * Redraw the marker layer, grouping markers near each other in the
+   * current view into clusters when clustering is on. Layers already shown
+   * stay on the map, so their popups stay open.
+   */
+  renderMarkers() {
+    const layers = new Set();
+    const clusters = new Map();
+
+    const zoom = this.map.getZoom();
+    if (!this.clustering || zoom >= MapProvider.CLUSTER_MAX_ZOOM) {
+      this.markers.forEach(marker => layers.add(marker));
+    } else {
+      // Only cluster what is on (or just off) screen
+      const bounds = this.map.getBounds().pad(0.25);
+      const visible = this.markers.filter(marker => bounds.contains(marker.getLatLng()));
+      const points = visible.map(marker => this.map.project(marker.getLatLng(), zoom));
+
+      MapProvider.clusterPoints(points).forEach(group => {
+        if (group.length === 1) {
+          layers.add(visible[group[0]]);
+          return;
+        }
+
+        const members = group.map(i => visible[i]);
+        const key = members.map(marker => L.stamp(marker)).sort((a, b) => a - b).join(',');
+        const cluster = this.clusterLayers.get(key) || this.createClusterMarker(members);
+        clusters.set(key, cluster);
+        layers.add(cluster);
+      });
+    }
+    this.clusterLayers = clusters;
+
+    const stale = [];
+    this.markerLayer.eachLayer(layer => {
+      if (!layers.has(layer)) stale.push(layer);
+    });
+    stale.forEach(layer => this.markerLayer.removeLayer(layer));
+    layers.forEach(layer => {
+      if (!this.markerLayer.hasLayer(layer)) this.markerLayer.addLayer(layer);
+    });
+  }
+
+  /**
+   * Create a count bubble that zooms in to its members when clicked
+   */
+  createClusterMarker(members) {
+    const latlngs = members.map(marker => marker.getLatLng());
+    const center = L.latLng(
+      latlngs.reduce((sum, ll) => sum + ll.lat, 0) / latlngs.length,
+      latlngs.reduce((sum, ll) => sum + ll.lng, 0) / latlngs.length
+    );
+    const size = MapProvider.clusterSize(members.length);
+    const diameter = { small: 34, medium: 40, large: 48 }[size];
+
+    const cluster = L.marker(center, {
+      icon: L.divIcon({
+        className: 'leaflet-cluster-marker',
+        html: `<div class="cluster-count cluster-${size}">${members.length}</div>`,
+        iconSize: [diameter, diameter]
+      })
+    });
+
+    cluster.bindTooltip(`${members.length} locations`);
+    cluster.on('click', () => {
+      this.map.fitBounds(L.latLngBounds(latlngs).pad(0.1));
+    });
+
+    return cluster;
+  }
+
+  /**
+   * Render structured fields (other than name) as popup rows
+   */
+  renderFields(fields) {
+    const rows = Object.keys(MapProvider.fieldLabels)
+      .filter(key => key !== 'name' && fields[key])
+      .map(key => {
+        const value = key === 'website' && MapProvider.isWebUrl(fields[key]) ?
+          `<a href="${this.escapeHtml(fields[key])}" target="_blank" rel="noopener">${this.escapeHtml(fields[key])}</a>` :
+          this.escapeHtml(fields[key]);
+        return `<div class="popup-field"><span>${MapProvider.fieldLabels[key]}:</span> ${value}</div>`;
+      });
+    return rows.join('');
+  }
+
+  /**
+   * Show a hexbin density layer beneath the markers
+   */
+  setDensityLayer(points, options = {}) {
+    this.density = { points, options };
+    this.renderDensity();
+  }
+
+  /**
+   * Remove the density layer
+   */
+  clearDensityLayer() {
+    this.density = null;
+    this.densityLayer.clearLayers();
+  }
+
+  /**
+   * Draw the density hexagons for the current zoom level
+   */
+  renderDensity() {
+    this.densityLayer.clearLayers();
+
+    const { points, options } = this.density;
+    const zoom = this.map.getZoom();
+    const radius = options.radius || MapProvider.DENSITY_RADIUS;
+
+    const projected = points.map(point => {
+      const pixel = this.map.project([point.lat, point.lng], zoom);
+      return { x: pixel.x, y: pixel.y, weight: point.weight };
+    });
+
+    const bins = MapProvider.hexbin(projected, radius);
+    const max = bins.reduce((highest, bin) => Math.max(highest, bin.weight), 0);
+
+    bins.forEach(bin => {
+      const ratio = max > 0 ? bin.weight / max : 0;
+      const corners = MapProvider.hexCorners(bin.x, bin.y, radius)
+        .map(([x, y]) => this.map.unproject([x, y], zoom));
+
+      L.polygon(corners, {
+        stroke: false,
+        fillColor: MapProvider.densityColor(ratio),
+        fillOpacity: 0.2 + 0.5 * ratio
+      })
+        .bindTooltip(MapProvider.describeDensityBin(bin, options.weightLabel))
+        .addTo(this.densityLayer);
+    });
+  }
+
+  /**
+   * Draw a line through the given points
+   */
+  drawPolyline(points, options = {}) {
+    return L.polyline(points.map(p => [p.lat, p.lng]), {
+      color: options.color || '#667eea',
+      weight: options.weight || 4,
+      opacity: options.opacity || 0.8,
+      interactive: false
+    }).addTo(this.map);
+  }
+
+  /**
+   * Draw a circle with a radius in kilometres
+   */
+  drawCircle(center, radiusKm, options = {}) {
+    return L.circle([center.lat, center.lng], {
+      radius: radiusKm * 1000,
+      color: options.color || '#667eea',
+      weight: 2,
+      fillOpacity: 0.06,
+      interactive: false
+    }).addTo(this.map);
+  }
+
+  /**
+   * Draw a fixed-size dot marking a point that is not a location
+   */
+  drawPoint(lat, lng, options = {}) {
+    const point = L.circleMarker([lat, lng], {
+      radius: 8,
+      color: 'white',
+      weight: 3,
+      fillColor: options.color || '#dc2626',
+      fillOpacity: 1
+    }).addTo(this.map);
+
+    if (options.title) {
+      point.bindTooltip(options.title);
+    }
+    return point;
+  }
+
+  /**
+   * Call back with the coordinates of clicks on the map background
+   */
+  onMapClick(callback) {
+    this.map.on('click', e => callback(e.latlng.lat, e.latlng.lng));
+  }
+
+  /**
+   * Call back with the coordinates of right-clicks on the map background
+   */
+  onMapContextMenu(callback) {
+    this.map.on('contextmenu', e => callback(e.latlng.lat, e.latlng.lng));
+  }
+
+  openPopup(lat, lng, content) {
+    L.popup({ maxWidth: 280 })
+      .setLatLng([lat, lng])
+      .setContent(content)
+      .openOn(this.map);
+  }
+
+  closePopup() {
+    this.map.closePopup();
+  }
+
+  /**
+   * Let the user draw a polygon, rectangle or circle on the map
+   */
+  startDrawing(type, onComplete) {
+    this.cancelDrawing();
+
+    const map = this.map;
+    const style = { color: '#dc2626', weight: 2, fillOpacity: 0.08, interactive: false };
+    const drawing = { onComplete, handlers: {}, preview: null };
+    this.drawing = drawing;
+
+    map.dragging.disable();
+    map.doubleClickZoom.disable();
+    L.DomUtil.addClass(map.getContainer(), 'map-drawing');
+
+    const finish = shape => {
+      this.endDrawing();
+      onComplete(shape);
+    };
+
+    if (type === 'polygon') {
+      const points = [];
+      const update = cursor => {
+        const latlngs = cursor ? [...points, cursor] : points;
+        if (drawing.preview) {
+          drawing.preview.setLatLngs(latlngs);
+        } else {
+          drawing.preview = L.polygon(latlngs, style).addTo(map);
+        }
+      };
+
+      drawing.handlers.click = e => {
+        // A double-click also fires clicks; don't add the same vertex twice
+        const last = points[points.length - 1];
+        if (last && map.latLngToContainerPoint(last).distanceTo(e.containerPoint) < 5) return;
+        points.push(e.latlng);
+        update(e.latlng);
+      };
+      drawing.handlers.mousemove = e => {
+        if (points.length > 0) update(e.latlng);
+      };
+      drawing.handlers.dblclick = () => {
+        if (points.length >= 3) {
+          finish({ type: 'polygon', points: points.map(p => ({ lat: p.lat, lng: p.lng })) });
+        }
+      };
+    } else {
+      let start = null;
+      let shape = null;
+
+      drawing.handlers.mousedown = e => {
+        start = e.latlng;
+      };
+      drawing.handlers.mousemove = e => {
+        if (!start) return;
+        if (drawing.preview) map.removeLayer(drawing.preview);
+
+        if (type === 'rectangle') {
+          const bounds = L.latLngBounds(start, e.latlng);
+          drawing.preview = L.rectangle(bounds, style).addTo(map);
+          shape = {
+            type: 'rectangle',
+            bounds: {
+              south: bounds.getSouth(),
+              west: bounds.getWest(),
+              north: bounds.getNorth(),
+              east: bounds.getEast()
+            }
+          };
+        } else {
+          const radius = map.distance(start, e.latlng);
+          drawing.preview = L.circle(start, { ...style, radius }).addTo(map);
+          shape = { type: 'circle', center: { lat: start.lat, lng: start.lng }, radiusKm: radius / 1000 };
+        }
+      };
+      drawing.handlers.mouseup = () => {
+        if (shape) finish(shape);
+        start = null;
+      };
+    }
+
+    Object.entries(drawing.handlers).forEach(([event, handler]) => map.on(event, handler));
+  }
+
+  /**
+   * Abandon a drawing in progress
+   */
+  cancelDrawing() {
+    if (!this.drawing) return;
+    const { onComplete } = this.drawing;
+    this.endDrawing();
+    onComplete(null);
+  }
+
+  endDrawing() {
+    const drawing = this.drawing;
+    this.drawing = null;
+
+    Object.entries(drawing.handlers).forEach(([event, handler]) => this.map.off(event, handler));
+    if (drawing.preview) this.map.removeLayer(drawing.preview);
+
+    this.map.dragging.enable();
+    this.map.doubleClickZoom.enable();
+    L.DomUtil.removeClass(this.map.getContainer(), 'map-drawing');
+  }
+
+  /**
+   * Draw a finished shape
+   */
+  drawShape(shape, options = {}) {
+    const style = {
+      color: options.color || '#dc2626',
+      weight: 2,
+      fillOpacity: 0.05,
+      interactive: false
+    };
+
+    switch (shape.type) {
+      case 'polygon':
+        return L.polygon(shape.points.map(p => [p.lat, p.lng]), style).addTo(this.map);
+      case 'rectangle': {
+        const { south, west, north, east } = shape.bounds;
+        return L.rectangle([[south, west], [north, east]], style).addTo(this.map);
+      }
+      case 'circle':
+        return L.circle([shape.center.lat, shape.center.lng], { ...style, radius: shape.radiusKm * 1000 }).addTo(this.map);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Remove an overlay returned by one of the draw methods
+   */
+  removeOverlay(overlay) {
+    if (overlay) this.map.removeLayer(overlay);
+  }
+
   /**
    * Set the map center
    */
@@ -103,17 +534,16 @@ class LeafletMapProvider extends MapProvider {
       return;
     }
 
-    const group = L.featureGroup(this.markers);
-    this.map.fitBounds(group.getBounds().pad(0.1));
+    const bounds = L.latLngBounds(this.markers.map(marker => marker.getLatLng()));
+    this.map.fitBounds(bounds.pad(0.1));
   }
 
   /**
    * Clear all markers from the map
    */
   clearMarkers() {
-    this.markers.forEach(marker => {
-      this.map.removeLayer(marker);
-    });
+    this.markerLayer.clearLayers();
+    this.clusterLayers.clear();
     this.markers = [];
   }
 
@@ -9,13 +9,31 @@
   const state = {
     addresses: [],
     searchArea: '',
-    geocodeProvider: 'osm', // Provider for geocoding (osm or google)
+    pageUrl: '',
+    pageTitle: '',
+    savedName: null, // Saved extraction this map was opened from; edits are written back to it
+    geocodeChain: ['cache', 'osm'], // Geocoder stages, see Geocoder.loadChain
+    geocoderSettings: {}, // Settings of every geocoding provider, keyed by provider id
+    areas: {}, // Resolved search areas (Geocoder.resolveArea), keyed by area text
     displayProvider: 'osm', // Always OSM for display in extension pages
     apiKey: null,
     geocodedResults: [],
     mapInstance: null,
-    currentGeocodingIndex: 0,
-    pendingGeocode: null
+    markers: new Map(), // Location -> { marker, key } shown on the map
+    clustering: true,
+    densityMode: 'off', // off, count, or a numeric field used as weight
+    route: null, // { start: location, order: geocodedResults indexes, stops: Map index -> stop number, distance, overlay }
+    reference: null, // { lat, lng, label, overlay }
+    radiusKm: null,
+    radiusOverlay: null,
+    pickingReference: false,
+    area: null, // { shape, overlay } drawn to filter locations
+    drawingArea: false,
+    reviewPick: null, // Review item waiting for a click on the map
+    whatsHere: null, // { lat, lng } of the right-clicked point being looked up
+    jobId: null, // Background geocoding job for this map's pending locations
+    jobStatus: null,
+    jobBudget: null // { provider, limit, used } when the job paused at a provider's monthly budget
   };
 
   // DOM Elements
@@ -25,20 +43,68 @@
     locationList: document.getElementById('location-list'),
     map: document.getElementById('map'),
     loadingOverlay: document.getElementById('loading-overlay'),
-    loadingText: document.getElementById('loading-text'),
-    loadingProgress: document.getElementById('loading-progress'),
-    disambigModal: document.getElementById('disambig-modal'),
-    disambigAddress: document.getElementById('disambig-address'),
-    disambigOptions: document.getElementById('disambig-options'),
-    coordModal: document.getElementById('coord-modal'),
-    coordAddress: document.getElementById('coord-address'),
-    manualLat: document.getElementById('manual-lat'),
-    manualLng: document.getElementById('manual-lng'),
-    btnSkip: document.getElementById('btn-skip'),
-    btnAddCoords: document.getElementById('btn-add-coords'),
-    btnSkipCoords: document.getElementById('btn-skip-coords')
+    jobPanel: document.getElementById('job-panel'),
+    jobProgressBar: document.getElementById('job-progress-bar'),
+    jobStatus: document.getElementById('job-status'),
+    btnPauseJob: document.getElementById('btn-pause-job'),
+    btnCancelJob: document.getElementById('btn-cancel-job'),
+    reviewPanel: document.getElementById('review-panel'),
+    reviewCount: document.getElementById('review-count'),
+    reviewList: document.getElementById('review-list'),
+    reviewArea: document.getElementById('review-area'),
+    reviewStatus: document.getElementById('review-status'),
+    btnAcceptAll: document.getElementById('btn-accept-all'),
+    btnRetryReview: document.getElementById('btn-retry-review'),
+    toggleClustering: document.getElementById('toggle-clustering'),
+    densityMode: document.getElementById('density-mode'),
+    btnExport: document.getElementById('btn-export'),
+    exportMenu: document.getElementById('export-menu'),
+    referenceAddress: document.getElementById('reference-address'),
+    btnSetReference: document.getElementById('btn-set-reference'),
+    btnPickReference: document.getElementById('btn-pick-reference'),
+    btnClearReference: document.getElementById('btn-clear-reference'),
+    radiusKm: document.getElementById('radius-km'),
+    referenceStatus: document.getElementById('reference-status'),
+    areaToolbar: document.getElementById('area-toolbar'),
+    btnClearArea: document.getElementById('btn-clear-area'),
+    btnSaveSubset: document.getElementById('btn-save-subset'),
+    routeStart: document.getElementById('route-start'),
+    btnPlanRoute: document.getElementById('btn-plan-route'),
+    btnClearRoute: document.getElementById('btn-clear-route'),
+    routeSummary: document.getElementById('route-summary'),
+    btnImport: document.getElementById('btn-import'),
+    importModal: document.getElementById('import-modal'),
+    importFile: document.getElementById('import-file'),
+    importText: document.getElementById('import-text'),
+    importDelimiter: document.getElementById('import-delimiter'),
+    importAddressColumn: document.getElementById('import-address-column'),
+    importLatColumn: document.getElementById('import-lat-column'),
+    importLngColumn: document.getElementById('import-lng-column'),
+    importSummary: document.getElementById('import-summary'),
+    btnImportConfirm: document.getElementById('btn-import-confirm'),
+    btnImportCancel: document.getElementById('btn-import-cancel')
   };
 
+  // How prefilled coordinates are described in popups and exports
+  const COORDINATE_SOURCE_LABELS = {
+    import: 'Imported coordinates',
+    'structured-data': 'From page data',
+    link: 'From link'
+  };
+
+  // Why a location is waiting in the review queue
+  const REVIEW_LABELS = {
+    ambiguous: 'Multiple matches',
+    'not-found': 'Not found',
+    failed: 'Geocoding failed'
+  };
+
+  // Shown for results no provider could place inside the search area
+  const OUTSIDE_AREA_WARNING = 'Outside the search area';
+
+  // Parsed import awaiting column selection
+  let pendingImport = null;
+
   // Initialize
   async function init() {
     // Load data from storage
@@ -48,26 +114,35 @@
       'mapProvider'
     ]);
 
-    if (!stored.mapData || !stored.mapData.addresses || stored.mapData.addresses.length === 0) {
-      showEmptyState();
-      return;
-    }
-
-    state.addresses = stored.mapData.addresses;
-    state.searchArea = stored.mapData.searchArea || '';
     state.apiKey = stored.googleMapsApiKey || null;
-    state.geocodeProvider = stored.mapProvider || 'osm';
+    state.geocoderSettings = await Geocoder.loadSettings();
+    // Providers missing an API key or server URL are left out of the chain
+    state.geocodeChain = await Geocoder.loadChain(stored.mapProvider);
 
     // Google Maps display is not available in extension pages due to CSP
     // Always use OSM for display, but Google geocoding still works if selected
     state.displayProvider = 'osm';
 
-    // If Google selected but no API key, fall back to OSM for geocoding too
-    if (state.geocodeProvider === 'google' && !state.apiKey) {
-      state.geocodeProvider = 'osm';
+    setupEventListeners();
+
+    // map.html?import=new starts a fresh map from an imported list
+    const params = new URLSearchParams(window.location.search);
+    const startWithImport = params.get('import') === 'new';
+
+    if (startWithImport || !stored.mapData || !stored.mapData.addresses || stored.mapData.addresses.length === 0) {
+      showEmptyState();
+      if (startWithImport) openImportModal();
+      return;
     }
 
-    setupEventListeners();
+    state.addresses = stored.mapData.addresses;
+    state.searchArea = stored.mapData.searchArea || '';
+    state.pageUrl = stored.mapData.pageUrl || '';
+    state.pageTitle = stored.mapData.pageTitle || '';
+    state.savedName = stored.mapData.savedName || null;
+    state.jobId = stored.mapData.geocodeJobId || null;
+    elements.reviewArea.value = state.searchArea;
+
     await startGeocoding();
   }
 
@@ -80,210 +155,503 @@
           <circle cx="12" cy="10" r="3"/>
         </svg>
         <p>No locations to display</p>
+        <p>Use Import to add a CSV file or a pasted list.</p>
       </div>
     `;
     elements.headerStats.textContent = 'No data';
   }
 
   function setupEventListeners() {
-    elements.btnSkip.addEventListener('click', skipCurrentGeocode);
-    elements.btnAddCoords.addEventListener('click', addManualCoordinates);
-    elements.btnSkipCoords.addEventListener('click', skipCurrentGeocode);
-  }
+    // Background geocoding job
+    elements.btnPauseJob.addEventListener('click', togglePauseJob);
+    elements.btnCancelJob.addEventListener('click', cancelJob);
+    chrome.storage.onChanged.addListener((changes, area) => {
+      const jobs = area === 'local' && changes.geocodeJobs && changes.geocodeJobs.newValue;
+      if (jobs && state.jobId && jobs[state.jobId]) applyJobResults(jobs[state.jobId]);
+    });
 
-  async function startGeocoding() {
-    state.geocodedResults = [];
-    state.currentGeocodingIndex = 0;
+    // Review queue
+    elements.btnAcceptAll.addEventListener('click', acceptTopCandidates);
+    elements.btnRetryReview.addEventListener('click', retryReviewQueue);
+    elements.reviewArea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') retryReviewQueue();
+    });
 
-    elements.loadingOverlay.classList.remove('hidden');
-    elements.loadingProgress.textContent = `0 / ${state.addresses.length}`;
+    // Marker clustering
+    elements.toggleClustering.addEventListener('change', () => {
+      state.clustering = elements.toggleClustering.checked;
+      if (state.mapInstance) {
+        state.mapInstance.setClustering(state.clustering);
+      }
+    });
 
-    await processGeocodeQueue();
-  }
+    // Density layer
+    elements.densityMode.addEventListener('change', () => {
+      state.densityMode = elements.densityMode.value;
+      updateDensityLayer();
+    });
+
+    // Export menu
+    elements.btnExport.addEventListener('click', (e) => {
+      e.stopPropagation();
+      elements.exportMenu.classList.toggle('hidden');
+    });
+    elements.exportMenu.querySelectorAll('[data-format]').forEach(item => {
+      item.addEventListener('click', () => {
+        elements.exportMenu.classList.add('hidden');
+        exportResults(item.dataset.format);
+      });
+    });
+    document.addEventListener('click', () => elements.exportMenu.classList.add('hidden'));
 
-  async function processGeocodeQueue() {
-    while (state.currentGeocodingIndex < state.addresses.length) {
-      const item = state.addresses[state.currentGeocodingIndex];
+    // Reference point and radius
+    elements.btnSetReference.addEventListener('click', setReferenceFromAddress);
+    elements.referenceAddress.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') setReferenceFromAddress();
+    });
+    elements.btnPickReference.addEventListener('click', startPickingReference);
+    elements.btnClearReference.addEventListener('click', clearReference);
+    elements.radiusKm.addEventListener('input', updateRadius);
 
-      // Build query address with search area
-      let queryAddress = item.address;
-      if (state.searchArea && !item.address.toLowerCase().includes(state.searchArea.toLowerCase())) {
-        queryAddress = `${item.address}, ${state.searchArea}`;
+    // Draw-to-filter
+    elements.areaToolbar.querySelectorAll('[data-shape]').forEach(button => {
+      button.addEventListener('click', () => startDrawingArea(button.dataset.shape));
+    });
+    elements.btnClearArea.addEventListener('click', clearArea);
+    elements.btnSaveSubset.addEventListener('click', saveSubset);
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && state.drawingArea && state.mapInstance) {
+        state.mapInstance.cancelDrawing();
       }
+    });
 
-      // Update progress
-      elements.loadingText.textContent = `Geocoding: ${item.address.substring(0, 40)}${item.address.length > 40 ? '...' : ''}`;
-      elements.loadingProgress.textContent = `${state.currentGeocodingIndex + 1} / ${state.addresses.length}`;
+    // Route planning
+    elements.btnPlanRoute.addEventListener('click', planRoute);
+    elements.btnClearRoute.addEventListener('click', clearRoute);
 
-      const result = await Geocoder.geocode(queryAddress, state.geocodeProvider, state.apiKey);
+    // Import
+    elements.btnImport.addEventListener('click', openImportModal);
+    elements.importFile.addEventListener('change', readImportFile);
+    elements.importText.addEventListener('input', parseImportText);
+    elements.importDelimiter.addEventListener('change', parseImportText);
+    [elements.importAddressColumn, elements.importLatColumn, elements.importLngColumn].forEach(select => {
+      select.addEventListener('change', updateImportSummary);
+    });
+    elements.btnImportConfirm.addEventListener('click', confirmImport);
+    elements.btnImportCancel.addEventListener('click', closeImportModal);
+  }
 
-      if (result.success) {
-        // Check if disambiguation is needed
-        if (result.multipleResults && result.allResults.length > 1) {
-          state.pendingGeocode = { item, queryAddress, result };
-          showDisambiguation(item.address, result.allResults);
-          return; // Wait for user selection
-        }
+  async function startGeocoding() {
+    state.geocodedResults = state.addresses.map(toGeocodedResult);
 
-        state.geocodedResults.push({
-          ...item,
-          queryAddress,
-          geocode: result
-        });
-      } else if (result.noResults) {
-        state.pendingGeocode = { item, queryAddress, result };
-        showManualCoordEntry(item.address);
-        return; // Wait for user input
-      } else {
-        // Error - add with error state
-        state.geocodedResults.push({
-          ...item,
-          queryAddress,
-          geocode: result,
-          error: true
-        });
-      }
+    elements.loadingOverlay.classList.add('hidden');
+    await displayResults();
 
-      state.currentGeocodingIndex++;
+    // Attach to the background job already geocoding this map, if any
+    const { job } = await chrome.runtime.sendMessage({ action: 'getGeocodeJob', jobId: state.jobId });
+    if (job) {
+      applyJobResults(job);
+      if (job.status !== 'done' || !state.geocodedResults.some(loc => loc.pending)) return;
     }
 
-    // Geocoding complete
-    elements.loadingOverlay.classList.add('hidden');
-    await displayResults();
+    await queuePending();
   }
 
-  function showDisambiguation(address, options) {
-    elements.loadingOverlay.classList.add('hidden');
-    elements.disambigModal.classList.remove('hidden');
-    elements.disambigAddress.textContent = `Select the correct location for "${address}":`;
+  /**
+   * Result for a stored item: its saved geocode or prefilled coordinates,
+   * otherwise pending until the geocoding job reaches it
+   */
+  function toGeocodedResult(item) {
+    // Items saved from an earlier map keep their geocode
+    if (item.geocode && item.geocode.success) {
+      return {
+        ...item,
+        queryAddress: item.queryAddress || item.address
+      };
+    }
 
-    elements.disambigOptions.innerHTML = options.slice(0, 5).map((opt, i) => `
-      <div class="disambig-option" data-index="${i}">
-        ${escapeHtml(opt.formattedAddress)}
-      </div>
-    `).join('');
+    // Items that already carry coordinates skip geocoding
+    if (item.coordinates) {
+      return {
+        ...item,
+        queryAddress: item.address,
+        geocode: {
+          success: true,
+          lat: item.coordinates.lat,
+          lng: item.coordinates.lng,
+          formattedAddress: item.address,
+          source: item.coordinates.source
+        }
+      };
+    }
 
-    // Add click handlers
-    elements.disambigOptions.querySelectorAll('.disambig-option').forEach(el => {
-      el.addEventListener('click', () => {
-        const idx = parseInt(el.dataset.index);
-        selectDisambigOption(options[idx]);
-      });
+    return {
+      ...item,
+      queryAddress: item.address,
+      geocode: { success: false },
+      pending: true
+    };
+  }
+
+  /**
+   * Hand every pending location to a new background job. The job runs in
+   * the service worker, so it carries on if this tab is closed or reloaded.
+   * A job this map already has is cancelled and its unfinished queries move
+   * to the new one, so it doesn't sit in the queue with no tab listening.
+   */
+  async function queuePending() {
+    const previousId = state.jobId;
+    if (previousId) {
+      state.jobId = null;
+      await chrome.runtime.sendMessage({ action: 'cancelGeocodeJob', jobId: previousId });
+
+      // Keep what it found before it was cancelled
+      const { job } = await chrome.runtime.sendMessage({ action: 'getGeocodeJob', jobId: previousId });
+      const found = state.geocodedResults.filter(loc => loc.pending && job && loc.queryAddress in job.results);
+      found.forEach(loc => applyGeocode(loc, loc.queryAddress, job.results[loc.queryAddress]));
+      if (found.length > 0) refreshAfterEdit();
+    }
+
+    const queries = state.geocodedResults.filter(loc => loc.pending).map(loc => loc.queryAddress);
+    if (queries.length === 0) {
+      if (previousId) await persistEdits();
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'startGeocodeJob',
+      queries,
+      chain: state.geocodeChain,
+      searchArea: state.searchArea
     });
+
+    // The worker couldn't take the job; the review queue lets the user retry
+    if (!response || !response.success) {
+      const error = response?.error || 'Geocoding could not start';
+      state.geocodedResults
+        .filter(loc => loc.pending)
+        .forEach(loc => applyGeocode(loc, loc.queryAddress, { success: false, error }));
+      refreshAfterEdit();
+      return;
+    }
+    state.jobId = response.jobId;
+    await saveMapData();
+
+    // Progress written before the id was known
+    const { job } = await chrome.runtime.sendMessage({ action: 'getGeocodeJob', jobId: state.jobId });
+    if (job) applyJobResults(job);
   }
 
-  function selectDisambigOption(option) {
-    const { item, queryAddress } = state.pendingGeocode;
+  /**
+   * Take new results from the geocoding job and show its progress.
+   * Ambiguous and failed lookups go to the review queue.
+   */
+  function applyJobResults(job) {
+    let changed = false;
 
-    state.geocodedResults.push({
-      ...item,
-      queryAddress,
-      geocode: {
-        success: true,
-        lat: option.lat,
-        lng: option.lng,
-        formattedAddress: option.formattedAddress,
-        placeId: option.placeId
+    state.geocodedResults.forEach(loc => {
+      if (!loc.pending) return;
+      if (loc.queryAddress in job.results) {
+        applyGeocode(loc, loc.queryAddress, job.results[loc.queryAddress]);
+        changed = true;
+      } else if (job.status === 'cancelled') {
+        applyGeocode(loc, loc.queryAddress, { success: false, error: 'Cancelled' });
+        changed = true;
       }
     });
 
-    elements.disambigModal.classList.add('hidden');
-    elements.loadingOverlay.classList.remove('hidden');
-    state.pendingGeocode = null;
-    state.currentGeocodingIndex++;
-    processGeocodeQueue();
+    state.jobStatus = job.status;
+    state.jobBudget = job.status === 'paused' ? job.overBudget || null : null;
+    updateJobPanel(job);
+
+    if (!changed) return;
+
+    // While the job runs, only show what it found; the route and density
+    // layer are brought up to date once it stops
+    if (job.status === 'running' || job.status === 'queued') {
+      refreshJobProgress();
+      return;
+    }
+
+    refreshAfterEdit();
+
+    // Store the results once the job stops so reopening the map doesn't need it
+    persistEdits();
   }
 
-  function showManualCoordEntry(address) {
-    elements.loadingOverlay.classList.add('hidden');
-    elements.coordModal.classList.remove('hidden');
-    elements.coordAddress.textContent = `Could not find "${address}". Enter coordinates manually:`;
-    elements.manualLat.value = '';
-    elements.manualLng.value = '';
+  /**
+   * Show new job results in the list, review queue and map. Markers already
+   * shown are left alone, and the route isn't re-planned on every save.
+   */
+  function refreshJobProgress() {
+    elements.btnExport.disabled = state.geocodedResults.length === 0;
+    updateHeaderStats();
+    renderLocationList();
+    renderReviewPanel();
+    renderMarkers(getVisibleResults());
   }
 
-  function addManualCoordinates() {
-    const lat = parseFloat(elements.manualLat.value);
-    const lng = parseFloat(elements.manualLng.value);
+  function updateJobPanel(job) {
+    const active = job.status === 'running' || job.status === 'queued' || job.status === 'paused';
+    elements.jobPanel.classList.toggle('hidden', !active);
+    if (!active) return;
+
+    elements.jobProgressBar.style.width = `${job.total > 0 ? Math.round(job.completed / job.total * 100) : 100}%`;
+    elements.jobStatus.textContent = job.status === 'queued' ?
+      `Waiting for another map to finish geocoding · ${job.completed} / ${job.total}` :
+      `${job.status === 'paused' ? 'Paused' : 'Geocoding'} ${job.completed} / ${job.total}`;
+    elements.btnPauseJob.textContent = job.status === 'paused' ? 'Resume' : 'Pause';
+
+    const budget = state.jobBudget;
+    elements.jobStatus.classList.toggle('over-budget', !!budget);
+    if (budget) {
+      elements.jobStatus.textContent += ` · ${Geocoder.getProvider(budget.provider).name} budget reached ` +
+        `(${budget.used.toLocaleString()} of ${budget.limit.toLocaleString()} this month)`;
+    } else if (job.status === 'paused' && job.error) {
+      elements.jobStatus.textContent += ` · ${job.error}`;
+    }
+  }
 
-    if (isNaN(lat) || isNaN(lng)) {
-      alert('Please enter valid coordinates.');
+  function togglePauseJob() {
+    if (state.jobStatus !== 'paused') {
+      chrome.runtime.sendMessage({ action: 'pauseGeocodeJob', jobId: state.jobId });
       return;
     }
 
-    const { item, queryAddress } = state.pendingGeocode;
+    // Paused at a budget: only go past it once the user agrees
+    const budget = state.jobBudget;
+    if (budget && !confirm(`This month's ${Geocoder.getProvider(budget.provider).name} budget of ` +
+        `${budget.limit.toLocaleString()} requests has been used. Continue geocoding past it?`)) {
+      return;
+    }
+    chrome.runtime.sendMessage({ action: 'resumeGeocodeJob', jobId: state.jobId, allowOverBudget: !!budget });
+  }
 
-    state.geocodedResults.push({
-      ...item,
-      queryAddress,
-      geocode: {
-        success: true,
-        lat,
-        lng,
-        formattedAddress: item.address,
-        manual: true
-      }
+  function cancelJob() {
+    chrome.runtime.sendMessage({ action: 'cancelGeocodeJob', jobId: state.jobId });
+  }
+
+  /**
+   * Geocode one address through the fallback chain, kept to the search
+   * area's bounding box and country. The area is resolved once per page.
+   */
+  async function geocodeAddress(address, searchArea = state.searchArea) {
+    if (searchArea && !(searchArea in state.areas)) {
+      state.areas[searchArea] = await Geocoder.resolveArea(searchArea, state.geocodeChain, state.geocoderSettings);
+    }
+    return Geocoder.geocodeChain(address, state.geocodeChain, state.geocoderSettings, {
+      area: searchArea ? state.areas[searchArea] : null
     });
+  }
+
+  /**
+   * Store a lookup result on a location. Ambiguous and failed lookups stay
+   * off the map and wait in the review queue.
+   */
+  function applyGeocode(loc, queryAddress, result) {
+    loc.queryAddress = queryAddress;
+    delete loc.pending;
+    delete loc.review;
+    delete loc.candidates;
 
-    elements.coordModal.classList.add('hidden');
-    elements.loadingOverlay.classList.remove('hidden');
-    state.pendingGeocode = null;
-    state.currentGeocodingIndex++;
-    processGeocodeQueue();
+    if (result.success && result.multipleResults && result.allResults.length > 1) {
+      loc.geocode = { success: false, error: `${result.allResults.length} possible matches` };
+      loc.review = 'ambiguous';
+      loc.candidates = result.allResults.slice(0, 5);
+    } else {
+      loc.geocode = result;
+      if (!result.success) {
+        loc.review = result.noResults ? 'not-found' : 'failed';
+      }
+    }
+
+    return loc;
   }
 
-  function skipCurrentGeocode() {
-    const { item, queryAddress } = state.pendingGeocode;
+  function getReviewQueue() {
+    return state.geocodedResults.filter(loc => loc.review);
+  }
 
-    // Add as error
-    state.geocodedResults.push({
-      ...item,
-      queryAddress,
-      geocode: { success: false, error: 'Skipped' },
-      error: true,
-      skipped: true
+  /**
+   * List the ambiguous and failed lookups waiting for a decision
+   */
+  function renderReviewPanel() {
+    const queue = getReviewQueue();
+    elements.reviewPanel.classList.toggle('hidden', queue.length === 0);
+    elements.reviewCount.textContent = `${queue.length} to review`;
+    elements.btnAcceptAll.disabled = !queue.some(loc => loc.candidates);
+
+    elements.reviewList.innerHTML = queue.map(loc => {
+      const index = state.geocodedResults.indexOf(loc);
+      return `
+        <div class="review-item${state.reviewPick === loc ? ' active' : ''}" data-index="${index}">
+          <div class="review-address">${index + 1}. ${escapeHtml(loc.address)}</div>
+          <div class="review-reason">${REVIEW_LABELS[loc.review]}${loc.review === 'failed' ? `: ${escapeHtml(loc.geocode.error || '')}` : ''}</div>
+          ${loc.candidates ? `
+            <select class="review-candidates">
+              ${loc.candidates.map((candidate, i) => `<option value="${i}">${escapeHtml(candidate.formattedAddress)}</option>`).join('')}
+            </select>
+          ` : ''}
+          <div class="review-actions">
+            ${loc.candidates ? '<button class="btn btn-primary btn-small" data-action="accept">Accept</button>' : ''}
+            <button class="btn btn-secondary btn-small" data-action="pick" title="Click the map to place it, or right-click to see the address there first">Pick on Map</button>
+            <button class="btn btn-secondary btn-small" data-action="delete">Remove</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    elements.reviewList.querySelectorAll('.review-item').forEach(el => {
+      const index = parseInt(el.dataset.index);
+      const loc = state.geocodedResults[index];
+
+      el.querySelector('[data-action="accept"]')?.addEventListener('click', async () => {
+        acceptCandidate(loc, parseInt(el.querySelector('.review-candidates').value));
+        await persistEdits();
+        refreshAfterEdit();
+      });
+      el.querySelector('[data-action="pick"]').addEventListener('click', () => startPickingForReview(loc));
+      el.querySelector('[data-action="delete"]').addEventListener('click', () => deleteLocation(index));
     });
+  }
+
+  function acceptCandidate(loc, candidateIndex) {
+    loc.geocode = { success: true, ...loc.candidates[candidateIndex] };
+    delete loc.coordinates;
+    delete loc.review;
+    delete loc.candidates;
+  }
+
+  /**
+   * Place every ambiguous location at its best match
+   */
+  async function acceptTopCandidates() {
+    const ambiguous = getReviewQueue().filter(loc => loc.candidates);
+    if (ambiguous.length === 0) return;
+
+    ambiguous.forEach(loc => acceptCandidate(loc, 0));
+    elements.reviewStatus.textContent = `Accepted ${ambiguous.length} top match${ambiguous.length === 1 ? '' : 'es'}`;
+
+    await persistEdits();
+    refreshAfterEdit();
+  }
+
+  /**
+   * Geocode the queued locations again with the search area from the panel,
+   * adding each one to the map as soon as it is found
+   */
+  async function retryReviewQueue() {
+    const queue = getReviewQueue();
+    if (queue.length === 0 || elements.btnRetryReview.disabled) return;
+
+    const searchArea = elements.reviewArea.value.trim();
+    let found = 0;
+    elements.btnRetryReview.disabled = true;
+
+    for (let i = 0; i < queue.length; i++) {
+      const loc = queue[i];
+      // Skip rows removed or resolved while the retry was running
+      if (!loc.review || !state.geocodedResults.includes(loc)) continue;
+
+      elements.reviewStatus.textContent = `Retrying ${i + 1} / ${queue.length}…`;
+      applyGeocode(loc, loc.address, await geocodeAddress(loc.address, searchArea));
+
+      if (loc.geocode.success) {
+        found++;
+        refreshAfterEdit();
+      }
+    }
+
+    await persistEdits();
+    refreshAfterEdit();
+    elements.btnRetryReview.disabled = false;
+    elements.reviewStatus.textContent = `Found ${found} of ${queue.length}`;
+  }
+
+  function startPickingForReview(loc) {
+    if (state.pickingReference) startPickingReference();
+
+    state.reviewPick = state.reviewPick === loc ? null : loc;
+    elements.map.classList.toggle('picking', !!state.reviewPick);
+    elements.reviewStatus.textContent = state.reviewPick ?
+      `Click the map to place "${loc.address.substring(0, 40)}"` : '';
+    renderReviewPanel();
+  }
+
+  function placeReviewPick(lat, lng) {
+    const loc = state.reviewPick;
+    state.reviewPick = null;
+    elements.map.classList.remove('picking');
+    elements.reviewStatus.textContent = '';
 
-    elements.disambigModal.classList.add('hidden');
-    elements.coordModal.classList.add('hidden');
-    elements.loadingOverlay.classList.remove('hidden');
-    state.pendingGeocode = null;
-    state.currentGeocodingIndex++;
-    processGeocodeQueue();
+    if (state.geocodedResults.includes(loc)) {
+      moveLocation(loc, lat, lng);
+    }
   }
 
   async function displayResults() {
-    const successful = state.geocodedResults.filter(r => r.geocode.success);
-    const failed = state.geocodedResults.filter(r => !r.geocode.success);
+    elements.btnExport.disabled = state.geocodedResults.length === 0;
+
+    updateHeaderStats();
 
-    // Update header
-    elements.headerStats.textContent = `${successful.length} mapped${failed.length > 0 ? `, ${failed.length} failed` : ''}`;
-    elements.locationCount.textContent = `${state.geocodedResults.length} locations`;
+    // A planned route no longer covers the new results
+    resetRoute();
+    populateRouteStart();
 
     // Render location list
     renderLocationList();
+    renderReviewPanel();
 
-    // Initialize and display map
-    if (successful.length > 0) {
-      await initializeMap(successful);
+    // Initialize and display map; it is needed to place review items even
+    // when nothing was found
+    if (state.geocodedResults.length > 0) {
+      if (!state.mapInstance) {
+        await initializeMap();
+      }
+      renderMarkers(getVisibleResults(), true);
     }
   }
 
   function renderLocationList() {
-    elements.locationList.innerHTML = state.geocodedResults.map((loc, index) => {
-      const isError = !loc.geocode.success;
+    // In route order while a route is planned, unrouted locations last;
+    // otherwise nearest first when a reference point is set
+    const indexes = state.geocodedResults
+      .map((_, index) => index)
+      .filter(index => isVisible(state.geocodedResults[index]));
+    if (state.route) {
+      indexes.sort((a, b) => (state.route.stops.get(a) || Infinity) - (state.route.stops.get(b) || Infinity));
+    } else if (state.reference) {
+      const distance = index => getDistanceKm(state.geocodedResults[index]) ?? Infinity;
+      indexes.sort((a, b) => distance(a) - distance(b));
+    }
+
+    elements.locationList.innerHTML = indexes.map(index => {
+      const loc = state.geocodedResults[index];
+      const status = loc.pending ? 'pending' : !loc.geocode.success ? 'error' : loc.geocode.outsideArea ? 'outside' : '';
       return `
-        <div class="location-item ${isError ? 'error' : ''}" data-index="${index}">
+        <div class="location-item ${status}" data-index="${index}">
           <div class="location-content">
-            <span class="location-number">${index + 1}</span>
+            <span class="location-number">${getLocationLabel(index)}</span>
             <div class="location-details">
+              ${loc.fields && loc.fields.name ? `<div class="location-name">${escapeHtml(loc.fields.name)}</div>` : ''}
               <div class="location-address">${escapeHtml(loc.address)}</div>
+              <div class="location-edit">
+                <input type="text" value="${escapeHtml(loc.address)}" aria-label="Address">
+                <button class="btn btn-primary btn-small" data-action="save">Save</button>
+              </div>
+              <div class="location-edit-status"></div>
+              ${getDistanceKm(loc) !== null ? `<div class="location-distance">${formatDistance(getDistanceKm(loc))}</div>` : ''}
               ${loc.geocode.success ? `
                 <div class="location-formatted">${escapeHtml(loc.geocode.formattedAddress)}</div>
+                ${loc.geocode.outsideArea ? `<div class="location-warning">${OUTSIDE_AREA_WARNING}</div>` : ''}
               ` : `
-                <div class="location-error">${loc.skipped ? 'Skipped' : 'Could not geocode'}</div>
+                <div class="location-error">${loc.pending ? 'Geocoding…' : REVIEW_LABELS[loc.review] || 'Could not geocode'}</div>
               `}
             </div>
+            <div class="location-actions">
+              <button class="location-action" data-action="edit" title="Edit address">✎</button>
+              <button class="location-action" data-action="delete" title="Delete location">✕</button>
+            </div>
           </div>
         </div>
       `;
@@ -291,8 +659,28 @@
 
     // Add click handlers to pan to location
     elements.locationList.querySelectorAll('.location-item').forEach(el => {
+      const index = parseInt(el.dataset.index);
+      const input = el.querySelector('.location-edit input');
+
+      el.querySelector('[data-action="edit"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleAddressEditor(el, !el.classList.contains('editing'));
+      });
+      el.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteLocation(index);
+      });
+      el.querySelector('[data-action="save"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        editAddress(el, index, input.value);
+      });
+      input.addEventListener('click', (e) => e.stopPropagation());
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') editAddress(el, index, input.value);
+        if (e.key === 'Escape') toggleAddressEditor(el, false);
+      });
+
       el.addEventListener('click', () => {
-        const index = parseInt(el.dataset.index);
         const loc = state.geocodedResults[index];
 
         if (loc.geocode.success && state.mapInstance) {
@@ -308,37 +696,16 @@
     });
   }
 
-  async function initializeMap(locations) {
+  async function initializeMap() {
     try {
       state.mapInstance = await MapProviderFactory.create(
         state.displayProvider,
         elements.map,
         { apiKey: state.apiKey }
       );
-
-      // Add markers
-      locations.forEach((loc, index) => {
-        const overallIndex = state.geocodedResults.indexOf(loc);
-        const matchQuality = loc.geocode.manual ? 'Manual entry' :
-          loc.geocode.partialMatch ? 'Approximate match' :
-          loc.geocode.locationType === 'ROOFTOP' ? 'Exact match' : 'Approximate';
-
-        state.mapInstance.addMarker(
-          loc.geocode.lat,
-          loc.geocode.lng,
-          loc.address,
-          {
-            label: overallIndex + 1,
-            formattedAddress: loc.geocode.formattedAddress,
-            originalAddress: loc.address,
-            matchQuality
-          }
-        );
-      });
-
-      // Fit bounds to show all markers
-      state.mapInstance.fitBounds();
-
+      state.mapInstance.setClustering(state.clustering);
+      state.mapInstance.onMapClick(handleMapClick);
+      state.mapInstance.onMapContextMenu(showWhatsHere);
     } catch (error) {
       console.error('Map initialization error:', error);
       elements.map.innerHTML = `
@@ -349,6 +716,863 @@
     }
   }
 
+  /**
+   * Show markers for the given locations. Markers whose location and content
+   * are unchanged stay on the map, so an open popup survives edits and new
+   * geocoding results. The view is only fitted to them when asked, or when
+   * the map had no markers yet, so it doesn't move away from where the user
+   * is looking.
+   */
+  function renderMarkers(locations, fit = false) {
+    if (!state.mapInstance) return;
+
+    fit = fit || state.markers.size === 0;
+
+    const entries = new Map(locations.map(loc => [loc, toMarkerEntry(loc)]));
+    const stale = [];
+    state.markers.forEach((shown, loc) => {
+      const entry = entries.get(loc);
+      if (entry && entry.key === shown.key) {
+        entries.delete(loc);
+      } else {
+        stale.push(shown.marker);
+        state.markers.delete(loc);
+      }
+    });
+    if (stale.length > 0) state.mapInstance.removeMarkers(stale);
+
+    // Add markers in one pass so large result sets draw once
+    const added = Array.from(entries.values());
+    if (added.length > 0) {
+      const markers = state.mapInstance.addMarkers(added);
+      added.forEach((entry, i) => state.markers.set(entry.loc, { marker: markers[i], key: entry.key }));
+    }
+
+    if (fit && locations.length > 0) {
+      state.mapInstance.fitBounds();
+    }
+
+    updateDensityLayer();
+  }
+
+  /**
+   * Marker entry for addMarkers(), with a key that changes whenever the
+   * marker would look different
+   */
+  function toMarkerEntry(loc) {
+    const entry = {
+      loc,
+      lat: loc.geocode.lat,
+      lng: loc.geocode.lng,
+      title: loc.address,
+      options: {
+        label: getLocationLabel(state.geocodedResults.indexOf(loc)),
+        formattedAddress: loc.geocode.formattedAddress,
+        originalAddress: loc.address,
+        matchQuality: getMatchQuality(loc),
+        warning: loc.geocode.outsideArea ? OUTSIDE_AREA_WARNING : null,
+        fields: loc.fields,
+        onDragEnd: (lat, lng) => moveLocation(loc, lat, lng)
+      }
+    };
+    entry.key = JSON.stringify([entry.lat, entry.lng, entry.title, entry.options]);
+    return entry;
+  }
+
+  function toggleAddressEditor(el, editing) {
+    el.classList.toggle('editing', editing);
+    el.querySelector('.location-edit-status').textContent = '';
+
+    const input = el.querySelector('.location-edit input');
+    if (editing) {
+      input.focus();
+      input.select();
+    } else {
+      input.value = state.geocodedResults[parseInt(el.dataset.index)].address;
+    }
+  }
+
+  /**
+   * Pin a location where its marker was dropped
+   */
+  async function moveLocation(loc, lat, lng) {
+    loc.geocode = {
+      success: true,
+      lat,
+      lng,
+      formattedAddress: loc.address,
+      manual: true
+    };
+    delete loc.coordinates;
+    delete loc.review;
+    delete loc.candidates;
+
+    await persistEdits();
+    refreshAfterEdit();
+  }
+
+  /**
+   * Change a location's address and geocode just that row again.
+   * The old position is kept if the new address can't be found.
+   */
+  async function editAddress(el, index, value) {
+    const address = value.trim();
+    const loc = state.geocodedResults[index];
+    const status = el.querySelector('.location-edit-status');
+    if (!address || !loc) return;
+
+    status.textContent = 'Geocoding…';
+    const result = await geocodeAddress(address);
+
+    if (!result.success) {
+      status.textContent = result.noResults ? `Could not find "${address}"` : `Geocoding failed: ${result.error}`;
+      return;
+    }
+
+    const previous = loc.geocode;
+    loc.address = address;
+    applyGeocode(loc, address, result);
+
+    // An ambiguous match goes to review; the old position stays until it is resolved
+    if (loc.review && previous.success) {
+      loc.geocode = previous;
+    } else {
+      delete loc.coordinates;
+    }
+
+    await persistEdits();
+    refreshAfterEdit();
+  }
+
+  async function deleteLocation(index) {
+    state.geocodedResults.splice(index, 1);
+    await persistEdits();
+    refreshAfterEdit();
+  }
+
+  /**
+   * Re-render the list, markers and everything derived from them after an edit
+   */
+  function refreshAfterEdit() {
+    elements.btnExport.disabled = state.geocodedResults.length === 0;
+    renderReviewPanel();
+    refreshFilteredView();
+    populateRouteStart();
+  }
+
+  /**
+   * Write the edited results back to mapData and to the saved extraction the
+   * map was opened from. Items keep their geocode so reopening skips geocoding.
+   */
+  async function persistEdits() {
+    state.addresses = state.geocodedResults.map(toSavedAddress);
+    await saveMapData();
+
+    if (state.savedName) {
+      await chrome.runtime.sendMessage({
+        action: 'saveExtraction',
+        name: state.savedName,
+        addresses: state.addresses,
+        searchArea: state.searchArea,
+        pageUrl: state.pageUrl,
+        pageTitle: state.pageTitle
+      });
+    }
+  }
+
+  /**
+   * A geocoded result as a storable item; rows still under review are
+   * geocoded again on reopen, except edited rows that kept their old
+   * position, which keep their review
+   */
+  function toSavedAddress(loc, index) {
+    const { pending, review, candidates, ...item } = loc;
+    return {
+      ...item,
+      ...(review && loc.geocode.success ? { review, candidates } : {}),
+      index,
+      geocode: { ...loc.geocode, allResults: undefined, multipleResults: false }
+    };
+  }
+
+  /**
+   * Number shown for a location: its stop number on a planned route,
+   * otherwise its position in the extraction
+   */
+  function getLocationLabel(index) {
+    if (state.route) {
+      return state.route.stops.get(index) || '–';
+    }
+    return index + 1;
+  }
+
+  function populateRouteStart() {
+    const options = state.geocodedResults
+      .map((loc, index) => ({ loc, index }))
+      .filter(({ loc }) => loc.geocode.success)
+      .map(({ loc, index }) => {
+        const label = (loc.fields && loc.fields.name) || loc.address;
+        return `<option value="${index}">${index + 1}. ${escapeHtml(label.substring(0, 60))}</option>`;
+      });
+
+    elements.routeStart.innerHTML = options.join('');
+    elements.btnPlanRoute.disabled = options.length < 2;
+
+    if (state.route) {
+      elements.routeStart.value = state.geocodedResults.indexOf(state.route.start);
+    }
+  }
+
+  /**
+   * Order the mapped locations into a short route from the chosen start
+   */
+  function planRoute() {
+    const route = buildRoute(state.geocodedResults[parseInt(elements.routeStart.value)]);
+    if (!route) return;
+
+    resetRoute();
+    state.route = route;
+    refreshRouteView();
+  }
+
+  /**
+   * Plan a route through the mapped locations, starting at startLoc or at the
+   * first one when startLoc is no longer mapped
+   * @returns {object|null} The route, or null with fewer than two locations
+   */
+  function buildRoute(startLoc) {
+    const indexes = getVisibleResults().map(loc => state.geocodedResults.indexOf(loc));
+    if (indexes.length < 2) return null;
+
+    const points = indexes.map(index => ({
+      lat: state.geocodedResults[index].geocode.lat,
+      lng: state.geocodedResults[index].geocode.lng
+    }));
+    const start = Math.max(0, indexes.indexOf(state.geocodedResults.indexOf(startLoc)));
+    const result = RoutePlanner.plan(points, start);
+
+    const order = result.order.map(i => indexes[i]);
+    return {
+      start: state.geocodedResults[indexes[start]],
+      order,
+      stops: new Map(order.map((index, stop) => [index, stop + 1])),
+      distance: result.distance,
+      overlay: null
+    };
+  }
+
+  /**
+   * Plan the current route again from the same start, so it follows moved,
+   * added and removed locations instead of being dropped
+   */
+  function replanRoute() {
+    if (!state.route) return;
+
+    const start = state.route.start;
+    resetRoute();
+    state.route = buildRoute(start);
+  }
+
+  function clearRoute() {
+    resetRoute();
+    refreshRouteView();
+  }
+
+  /**
+   * Drop the current route, its line and summary without re-rendering the list
+   */
+  function resetRoute() {
+    if (state.route && state.route.overlay && state.mapInstance) {
+      state.mapInstance.removeOverlay(state.route.overlay);
+    }
+    state.route = null;
+    elements.btnClearRoute.style.display = 'none';
+    elements.routeSummary.classList.add('hidden');
+  }
+
+  /**
+   * Renumber the list and markers, draw the route line and show the summary
+   */
+  function refreshRouteView() {
+    renderLocationList();
+    renderMarkers(getVisibleResults());
+
+    elements.btnClearRoute.style.display = state.route ? '' : 'none';
+
+    if (!state.route) {
+      elements.routeSummary.classList.add('hidden');
+      elements.routeSummary.innerHTML = '';
+      return;
+    }
+
+    const stops = state.route.order.map(index => ({
+      lat: state.geocodedResults[index].geocode.lat,
+      lng: state.geocodedResults[index].geocode.lng
+    }));
+
+    if (state.mapInstance) {
+      state.route.overlay = state.mapInstance.drawPolyline(stops);
+    }
+
+    const legs = RoutePlanner.toGoogleMapsUrls(stops);
+    const links = legs.map(leg =>
+      `<a href="${escapeHtml(leg.url)}" target="_blank" rel="noopener">${legs.length > 1 ? `Stops ${leg.from}–${leg.to}` : 'Open in Google Maps'}</a>`
+    ).join('');
+
+    elements.routeSummary.innerHTML = `
+      <div>${stops.length} stops · ${state.route.distance.toFixed(1)} km straight-line</div>
+      <div class="route-links">${links}</div>
+    `;
+    elements.routeSummary.classList.remove('hidden');
+  }
+
+  /**
+   * Header and sidebar counts, reflecting any radius or area filter
+   */
+  function updateHeaderStats() {
+    const successful = state.geocodedResults.filter(r => r.geocode.success);
+    const pending = state.geocodedResults.filter(r => r.pending).length;
+    const review = getReviewQueue().length;
+    const outside = successful.filter(r => r.geocode.outsideArea).length;
+    const listed = state.geocodedResults.filter(isVisible).length;
+    const filtered = listed < state.geocodedResults.length;
+
+    elements.headerStats.textContent = filtered ?
+      `${getVisibleResults().length} of ${successful.length} mapped in filter` :
+      `${successful.length} mapped${pending > 0 ? `, ${pending} pending` : ''}${review > 0 ? `, ${review} to review` : ''}` +
+      (outside > 0 ? `, ${outside} outside search area` : '');
+    elements.locationCount.textContent = filtered ?
+      `${listed} of ${state.geocodedResults.length} locations` :
+      `${state.geocodedResults.length} locations`;
+  }
+
+  /**
+   * Mapped locations that pass the radius and area filters (all of them when none are set)
+   */
+  function getVisibleResults() {
+    return state.geocodedResults.filter(loc => loc.geocode.success && isVisible(loc));
+  }
+
+  /**
+   * Whether a location is listed, mapped and exported under the current filters
+   */
+  function isVisible(loc) {
+    return isWithinRadius(loc) && isInsideArea(loc);
+  }
+
+  function isInsideArea(loc) {
+    if (!state.area) return true;
+    return loc.geocode.success && AreaFilter.contains(state.area.shape, loc.geocode.lat, loc.geocode.lng);
+  }
+
+  function isWithinRadius(loc) {
+    if (!state.reference || !state.radiusKm) return true;
+    const distance = getDistanceKm(loc);
+    return distance !== null && distance <= state.radiusKm;
+  }
+
+  /**
+   * Straight-line distance from the reference point, or null
+   */
+  function getDistanceKm(loc) {
+    if (!state.reference || !loc.geocode.success) return null;
+    return RoutePlanner.haversine(state.reference, loc.geocode);
+  }
+
+  function formatDistance(km) {
+    return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(km < 10 ? 1 : 0)} km`;
+  }
+
+  /**
+   * Geocode the typed address and use it as the reference point
+   */
+  async function setReferenceFromAddress() {
+    const address = elements.referenceAddress.value.trim();
+    if (!address) return;
+
+    elements.referenceStatus.textContent = 'Locating…';
+    // Not tied to the search area: the reference may lie outside it
+    const result = await geocodeAddress(address, '');
+
+    if (!result.success) {
+      elements.referenceStatus.textContent = `Could not find "${address}"`;
+      return;
+    }
+
+    setReference({ lat: result.lat, lng: result.lng, label: result.formattedAddress || address });
+  }
+
+  function startPickingReference() {
+    if (state.reviewPick) startPickingForReview(state.reviewPick);
+
+    state.pickingReference = !state.pickingReference;
+    elements.map.classList.toggle('picking', state.pickingReference);
+    elements.btnPickReference.classList.toggle('active', state.pickingReference);
+    elements.referenceStatus.textContent = state.pickingReference ? 'Click the map to set the reference point' : '';
+  }
+
+  function handleMapClick(lat, lng) {
+    if (state.reviewPick) {
+      placeReviewPick(lat, lng);
+      return;
+    }
+    if (!state.pickingReference) return;
+    startPickingReference();
+    setReference({ lat, lng, label: `${lat.toFixed(5)}, ${lng.toFixed(5)}` });
+  }
+
+  /**
+   * Reverse geocode a right-clicked point and offer to add it as a location,
+   * or to place a failed row from the review queue there
+   */
+  async function showWhatsHere(lat, lng) {
+    if (state.drawingArea) return;
+
+    const point = { lat, lng };
+    state.whatsHere = point;
+
+    const queue = getReviewQueue();
+    const providerId = Geocoder.getReverseProvider(state.geocodeChain, state.geocoderSettings);
+    const content = document.createElement('div');
+    content.className = 'whats-here';
+    content.innerHTML = `
+      <div class="whats-here-address">Looking up address…</div>
+      <div class="whats-here-coords">${lat.toFixed(5)}, ${lng.toFixed(5)} · ${escapeHtml(Geocoder.getProvider(providerId).name)}</div>
+      <div class="whats-here-actions">
+        <button class="btn btn-primary btn-small" data-action="add" disabled>Add as Location</button>
+      </div>
+      ${queue.length > 0 ? `
+        <div class="whats-here-fix">
+          <select>
+            ${queue.map(loc => {
+              const index = state.geocodedResults.indexOf(loc);
+              return `<option value="${index}"${state.reviewPick === loc ? ' selected' : ''}>${index + 1}. ${escapeHtml(loc.address.substring(0, 40))}</option>`;
+            }).join('')}
+          </select>
+          <button class="btn btn-secondary btn-small" data-action="place">Place Here</button>
+        </div>
+      ` : ''}
+    `;
+    state.mapInstance.openPopup(lat, lng, content);
+
+    const btnAdd = content.querySelector('[data-action="add"]');
+    let label = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+
+    btnAdd.addEventListener('click', () => {
+      state.mapInstance.closePopup();
+      addLocationAt(lat, lng, label);
+    });
+    content.querySelector('[data-action="place"]')?.addEventListener('click', () => {
+      const loc = state.geocodedResults[parseInt(content.querySelector('.whats-here-fix select').value)];
+      state.mapInstance.closePopup();
+      if (state.reviewPick === loc) startPickingForReview(loc);
+      if (loc) moveLocation(loc, lat, lng);
+    });
+
+    const result = await Geocoder.reverseGeocode(lat, lng, providerId, state.geocoderSettings[providerId]);
+    // Another point was right-clicked in the meantime
+    if (state.whatsHere !== point) return;
+
+    const addressEl = content.querySelector('.whats-here-address');
+    if (result.success) {
+      label = result.formattedAddress;
+      addressEl.textContent = label;
+    } else {
+      addressEl.textContent = result.noResults ? 'No address here' : `Lookup failed: ${result.error}`;
+    }
+    btnAdd.disabled = false;
+  }
+
+  /**
+   * Append a location pinned at a point on the map
+   */
+  async function addLocationAt(lat, lng, address) {
+    state.geocodedResults.push({
+      index: state.geocodedResults.length,
+      address,
+      type: 'map',
+      url: null,
+      rawText: address,
+      excluded: false,
+      queryAddress: address,
+      geocode: { success: true, lat, lng, formattedAddress: address, manual: true }
+    });
+
+    if (!state.pageTitle) {
+      state.pageTitle = 'Map locations';
+    }
+    await persistEdits();
+    refreshAfterEdit();
+  }
+
+  function setReference(reference) {
+    removeReferenceOverlays();
+    state.reference = reference;
+    elements.referenceAddress.value = reference.label;
+
+    if (state.mapInstance) {
+      state.reference.overlay = state.mapInstance.drawPoint(reference.lat, reference.lng, {
+        title: `Reference: ${reference.label}`
+      });
+    }
+
+    refreshDistanceView();
+  }
+
+  function clearReference() {
+    removeReferenceOverlays();
+    state.reference = null;
+    elements.referenceAddress.value = '';
+    refreshDistanceView();
+  }
+
+  function updateRadius() {
+    const value = parseFloat(elements.radiusKm.value);
+    state.radiusKm = value > 0 ? value : null;
+    refreshDistanceView();
+  }
+
+  function removeReferenceOverlays() {
+    if (!state.mapInstance) return;
+    if (state.reference && state.reference.overlay) {
+      state.mapInstance.removeOverlay(state.reference.overlay);
+    }
+    if (state.radiusOverlay) {
+      state.mapInstance.removeOverlay(state.radiusOverlay);
+      state.radiusOverlay = null;
+    }
+  }
+
+  /**
+   * Redraw the radius circle and re-render the list, markers and density layer
+   * for the current reference point and radius
+   */
+  function refreshDistanceView() {
+    if (state.radiusOverlay && state.mapInstance) {
+      state.mapInstance.removeOverlay(state.radiusOverlay);
+      state.radiusOverlay = null;
+    }
+    if (state.reference && state.radiusKm && state.mapInstance) {
+      state.radiusOverlay = state.mapInstance.drawCircle(state.reference, state.radiusKm);
+    }
+
+    elements.btnClearReference.style.display = state.reference ? '' : 'none';
+
+    if (state.reference) {
+      const mapped = state.geocodedResults.filter(loc => loc.geocode.success).length;
+      elements.referenceStatus.textContent = state.radiusKm ?
+        `${state.geocodedResults.filter(loc => loc.geocode.success && isWithinRadius(loc)).length} of ${mapped} within ${state.radiusKm} km` :
+        'Sorted by distance';
+    } else if (!state.pickingReference) {
+      elements.referenceStatus.textContent = '';
+    }
+
+    refreshFilteredView();
+  }
+
+  /**
+   * Re-render everything that depends on which locations pass the filters
+   */
+  function refreshFilteredView() {
+    updateHeaderStats();
+
+    // Row indexes and positions may have changed under the route
+    replanRoute();
+    refreshRouteView();
+    updateDensityLayer();
+  }
+
+  /**
+   * Let the user draw a shape and keep only the locations inside it
+   */
+  function startDrawingArea(type) {
+    if (!state.mapInstance) return;
+
+    if (state.pickingReference) startPickingReference();
+
+    setDrawingButton(type);
+    state.drawingArea = true;
+    state.mapInstance.startDrawing(type, shape => {
+      state.drawingArea = false;
+      setDrawingButton(null);
+      if (shape) setArea(shape);
+    });
+  }
+
+  function setDrawingButton(type) {
+    elements.areaToolbar.querySelectorAll('[data-shape]').forEach(button => {
+      button.classList.toggle('active', button.dataset.shape === type);
+    });
+    elements.areaToolbar.querySelector('.area-hint').textContent = type === 'polygon' ?
+      'Click to add points, double-click to finish (Esc cancels)' :
+      type ? 'Drag on the map (Esc cancels)' : '';
+  }
+
+  function setArea(shape) {
+    if (state.area && state.area.overlay) {
+      state.mapInstance.removeOverlay(state.area.overlay);
+    }
+    state.area = { shape, overlay: state.mapInstance.drawShape(shape) };
+    elements.btnClearArea.disabled = false;
+    elements.btnSaveSubset.disabled = false;
+    elements.areaToolbar.querySelector('.area-hint').textContent =
+      `${getVisibleResults().length} inside ${AreaFilter.describe(shape)}`;
+    refreshFilteredView();
+  }
+
+  function clearArea() {
+    if (state.area && state.area.overlay && state.mapInstance) {
+      state.mapInstance.removeOverlay(state.area.overlay);
+    }
+    state.area = null;
+    elements.btnClearArea.disabled = true;
+    elements.btnSaveSubset.disabled = true;
+    elements.areaToolbar.querySelector('.area-hint').textContent = '';
+    refreshFilteredView();
+  }
+
+  /**
+   * Save the locations inside the drawn area as a new saved extraction.
+   * Geocodes are kept so reopening it skips geocoding.
+   */
+  function saveSubset() {
+    const subset = getVisibleResults();
+    if (subset.length === 0) {
+      alert('No mapped locations inside the area.');
+      return;
+    }
+
+    const name = prompt('Enter a name for this subset:', `${(state.pageTitle || 'Locations').substring(0, 30)} (area)`);
+    if (!name) return;
+
+    const addresses = subset.map(toSavedAddress);
+
+    chrome.runtime.sendMessage({
+      action: 'saveExtraction',
+      name,
+      addresses,
+      searchArea: state.searchArea,
+      pageUrl: state.pageUrl,
+      pageTitle: state.pageTitle
+    }, (response) => {
+      if (response && response.success) {
+        elements.areaToolbar.querySelector('.area-hint').textContent = `Saved "${name}" with ${addresses.length} locations`;
+      }
+    });
+  }
+
+  /**
+   * Show or hide the density layer for the selected mode
+   */
+  function updateDensityLayer() {
+    if (!state.mapInstance) return;
+
+    if (state.densityMode === 'off') {
+      state.mapInstance.clearDensityLayer();
+      return;
+    }
+
+    const points = getVisibleResults()
+      .map(loc => ({
+        lat: loc.geocode.lat,
+        lng: loc.geocode.lng,
+        weight: getDensityWeight(loc, state.densityMode)
+      }))
+      .filter(point => point.weight !== null);
+
+    state.mapInstance.setDensityLayer(points, {
+      weightLabel: state.densityMode === 'count' ? null : state.densityMode
+    });
+  }
+
+  /**
+   * Numeric weight of a location for the density layer; null when the field is missing
+   */
+  function getDensityWeight(loc, mode) {
+    if (mode === 'count') return 1;
+
+    const value = loc.fields && loc.fields[mode] ? String(loc.fields[mode]).trim() : '';
+    if (!value) return null;
+
+    // "$$$" style price levels
+    if (mode === 'price' && /^[$£€]+$/.test(value)) return value.length;
+
+    const number = mode === 'price' ?
+      parseFloat(value.replace(/[^\d.]/g, '')) :
+      parseFloat(value.replace(',', '.').replace(/[^\d.]/g, ''));
+    return isNaN(number) ? null : number;
+  }
+
+  function getMatchQuality(loc) {
+    if (loc.pending) return 'Pending';
+    if (!loc.geocode.success) return REVIEW_LABELS[loc.review] || 'Not found';
+    if (loc.geocode.source && COORDINATE_SOURCE_LABELS[loc.geocode.source]) {
+      return COORDINATE_SOURCE_LABELS[loc.geocode.source];
+    }
+    if (loc.geocode.manual) return 'Manual entry';
+
+    const quality = loc.geocode.partialMatch ? 'Approximate match' :
+      loc.geocode.locationType === 'ROOFTOP' ? 'Exact match' : 'Approximate';
+    // Which step of the fallback chain found it, e.g. "Approximate (OSM, simplified query)"
+    return loc.geocode.stage ? `${quality} (${Geocoder.describeStage(loc.geocode)})` : quality;
+  }
+
+  /**
+   * Flatten geocoded results into records for export
+   */
+  function buildExportRecords() {
+    return state.geocodedResults.filter(isVisible).map(loc => ({
+      address: loc.address,
+      formattedAddress: loc.geocode.success ? loc.geocode.formattedAddress : '',
+      lat: loc.geocode.success ? loc.geocode.lat : null,
+      lng: loc.geocode.success ? loc.geocode.lng : null,
+      matchQuality: getMatchQuality(loc),
+      sourceUrl: loc.sourceUrl || state.pageUrl,
+      sourceTitle: state.pageTitle,
+      manual: !!loc.geocode.manual,
+      skipped: !loc.geocode.success,
+      ...Exporter.pickFields(loc.fields)
+    }));
+  }
+
+  function exportResults(format) {
+    if (state.geocodedResults.length === 0) return;
+    Exporter.download(format, buildExportRecords(), state.pageTitle || 'Rec Mapper');
+  }
+
+  // Import from CSV/TSV or pasted lines
+  function openImportModal() {
+    pendingImport = null;
+    elements.importFile.value = '';
+    elements.importText.value = '';
+    elements.importDelimiter.value = 'auto';
+    populateImportColumns([]);
+    updateImportSummary();
+    elements.importModal.classList.remove('hidden');
+  }
+
+  function closeImportModal() {
+    elements.importModal.classList.add('hidden');
+    pendingImport = null;
+  }
+
+  function readImportFile() {
+    const file = elements.importFile.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      elements.importText.value = reader.result;
+      if (!state.pageTitle) {
+        state.pageTitle = file.name;
+      }
+      parseImportText();
+    };
+    reader.readAsText(file);
+  }
+
+  function parseImportText() {
+    const text = elements.importText.value;
+    if (!text.trim()) {
+      pendingImport = null;
+      populateImportColumns([]);
+      updateImportSummary();
+      return;
+    }
+
+    const delimiterOption = elements.importDelimiter.value;
+    const delimiter = delimiterOption === 'auto' ? undefined :
+      delimiterOption === 'none' ? null :
+      delimiterOption === 'tab' ? '\t' : delimiterOption;
+
+    pendingImport = Importer.parse(text, delimiter);
+    populateImportColumns(pendingImport.headers);
+
+    const guess = Importer.guessColumns(pendingImport.headers);
+    elements.importAddressColumn.value = String(guess.address);
+    elements.importLatColumn.value = String(guess.lat);
+    elements.importLngColumn.value = String(guess.lng);
+
+    updateImportSummary();
+  }
+
+  function populateImportColumns(headers) {
+    const options = headers.map((header, i) =>
+      `<option value="${i}">${escapeHtml(header)}</option>`
+    ).join('');
+    const none = '<option value="-1">None (geocode)</option>';
+
+    elements.importAddressColumn.innerHTML = options;
+    elements.importLatColumn.innerHTML = none + options;
+    elements.importLngColumn.innerHTML = none + options;
+  }
+
+  function getImportColumns() {
+    return {
+      address: parseInt(elements.importAddressColumn.value),
+      lat: parseInt(elements.importLatColumn.value),
+      lng: parseInt(elements.importLngColumn.value)
+    };
+  }
+
+  function updateImportSummary() {
+    if (!pendingImport) {
+      elements.importSummary.textContent = 'Choose a file or paste one address per line.';
+      elements.btnImportConfirm.disabled = true;
+      return;
+    }
+
+    const items = Importer.toAddresses(pendingImport.rows, getImportColumns());
+    const withCoords = items.filter(item => item.coordinates).length;
+    elements.importSummary.textContent = `${items.length} rows to import` +
+      (withCoords > 0 ? `, ${withCoords} with coordinates (no geocoding needed)` : '');
+    elements.btnImportConfirm.disabled = items.length === 0;
+  }
+
+  async function confirmImport() {
+    if (!pendingImport) return;
+
+    const items = Importer.toAddresses(pendingImport.rows, getImportColumns());
+    closeImportModal();
+    if (items.length === 0) return;
+
+    await importAddresses(items);
+  }
+
+  /**
+   * Append imported items to mapData and geocode the ones without coordinates
+   */
+  async function importAddresses(items) {
+    const startIndex = state.addresses.length;
+    items.forEach((item, i) => {
+      item.index = startIndex + i;
+    });
+    state.addresses.push(...items);
+    state.geocodedResults.push(...items.map(toGeocodedResult));
+
+    if (!state.pageTitle) {
+      state.pageTitle = 'Imported addresses';
+    }
+    await saveMapData();
+
+    await displayResults();
+    await queuePending();
+  }
+
+  async function saveMapData() {
+    await chrome.storage.local.set({
+      mapData: {
+        addresses: state.addresses,
+        searchArea: state.searchArea,
+        pageUrl: state.pageUrl,
+        pageTitle: state.pageTitle,
+        savedName: state.savedName,
+        geocodeJobId: state.jobId,
+        timestamp: Date.now()
+      }
+    });
+  }
+
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -7,6 +7,7 @@ class MapProvider {
     this.container = container;
     this.map = null;
     this.markers = [];
+    this.clustering = false;
   }
 
   /**
@@ -21,13 +22,156 @@ class MapProvider {
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
    * @param {string} title - Marker title
-   * @param {object} options - Additional options (label, popupContent, etc.)
+   * @param {object} options - Additional options (label, formattedAddress, originalAddress,
+   *   matchQuality, warning, fields, onDragEnd). A warning flags the marker as suspicious.
+   *   Markers with onDragEnd can be dragged and report their new position as onDragEnd(lat, lng).
    * @returns {object} Marker reference
    */
   addMarker(lat, lng, title, options = {}) {
     throw new Error('addMarker() must be implemented by subclass');
   }
 
+  /**
+   * Add many markers at once, rendering them in a single pass
+   * @param {Array<{lat: number, lng: number, title: string, options: object}>} entries
+   * @returns {object[]} Marker references
+   */
+  addMarkers(entries) {
+    return entries.map(entry => this.addMarker(entry.lat, entry.lng, entry.title, entry.options));
+  }
+
+  /**
+   * Remove some markers, leaving the others and any open popup in place
+   * @param {object[]} markers - Marker references from addMarker() or addMarkers()
+   */
+  removeMarkers(markers) {
+    throw new Error('removeMarkers() must be implemented by subclass');
+  }
+
+  /**
+   * Group nearby markers into count bubbles that split apart on zoom
+   * @param {boolean} enabled
+   */
+  setClustering(enabled) {
+    throw new Error('setClustering() must be implemented by subclass');
+  }
+
+  /**
+   * Show a hexbin density layer beneath the markers
+   * @param {Array<{lat: number, lng: number, weight: number}>} points
+   * @param {object} options - radius (hexagon radius in pixels), weightLabel (tooltip name for weights)
+   */
+  setDensityLayer(points, options = {}) {
+    throw new Error('setDensityLayer() must be implemented by subclass');
+  }
+
+  /**
+   * Remove the density layer
+   */
+  clearDensityLayer() {
+    throw new Error('clearDensityLayer() must be implemented by subclass');
+  }
+
+  /**
+   * Draw a line through the given points
+   * @param {Array<{lat: number, lng: number}>} points
+   * @param {object} options - color, weight, opacity
+   * @returns {object} Overlay reference for removeOverlay()
+   */
+  drawPolyline(points, options = {}) {
+    throw new Error('drawPolyline() must be implemented by subclass');
+  }
+
+  /**
+   * Draw a circle with a radius in kilometres
+   * @param {{lat: number, lng: number}} center
+   * @param {number} radiusKm
+   * @param {object} options - color
+   * @returns {object} Overlay reference for removeOverlay()
+   */
+  drawCircle(center, radiusKm, options = {}) {
+    throw new Error('drawCircle() must be implemented by subclass');
+  }
+
+  /**
+   * Draw a fixed-size dot marking a point that is not a location
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {object} options - color, title
+   * @returns {object} Overlay reference for removeOverlay()
+   */
+  drawPoint(lat, lng, options = {}) {
+    throw new Error('drawPoint() must be implemented by subclass');
+  }
+
+  /**
+   * Call back with the coordinates of clicks on the map background
+   * @param {function(number, number)} callback - Receives lat, lng
+   */
+  onMapClick(callback) {
+    throw new Error('onMapClick() must be implemented by subclass');
+  }
+
+  /**
+   * Call back with the coordinates of right-clicks on the map background
+   * @param {function(number, number)} callback - Receives lat, lng
+   */
+  onMapContextMenu(callback) {
+    throw new Error('onMapContextMenu() must be implemented by subclass');
+  }
+
+  /**
+   * Show content in a popup at a point, replacing any open popup
+   * @param {number} lat
+   * @param {number} lng
+   * @param {HTMLElement} content
+   */
+  openPopup(lat, lng, content) {
+    throw new Error('openPopup() must be implemented by subclass');
+  }
+
+  /**
+   * Close the open popup, if any
+   */
+  closePopup() {
+    throw new Error('closePopup() must be implemented by subclass');
+  }
+
+  /**
+   * Let the user draw a polygon, rectangle or circle on the map.
+   * Polygons are finished with a double-click; rectangles and circles by dragging.
+   * @param {string} type - 'polygon', 'rectangle' or 'circle'
+   * @param {function(object|null)} onComplete - Receives the shape (see AreaFilter), or null if cancelled
+   */
+  startDrawing(type, onComplete) {
+    throw new Error('startDrawing() must be implemented by subclass');
+  }
+
+  /**
+   * Abandon a drawing in progress
+   */
+  cancelDrawing() {
+    throw new Error('cancelDrawing() must be implemented by subclass');
+  }
+
+  /**
+   * Draw a finished shape
+   * @param {object} shape - Shape as passed to startDrawing's callback
+   * @param {object} options - color
+   * @returns {object} Overlay reference for removeOverlay()
+   */
+  drawShape(shape, options = {}) {
+    throw new Error('drawShape() must be implemented by subclass');
+  }
+
+  /**
+   * Remove an overlay returned by one of the draw methods
+   * @param {object} overlay
+   */
+  removeOverlay(overlay) {
+    throw new Error('removeOverlay() must be implemented by subclass');
+  }
+
   /**
    * Set the map center
    * @param {number} lat - Latitude
@@ -61,6 +205,135 @@ class MapProvider {
   }
 }
 
+/**
+ * Display labels for structured fields shown in marker popups
+ */
+MapProvider.fieldLabels = {
+  name: 'Name',
+  phone: 'Phone',
+  website: 'Website',
+  rating: 'Rating',
+  hours: 'Hours',
+  price: 'Price'
+};
+
+/**
+ * Whether a field value can be linked to: only http and https URLs, so a
+ * scraped "javascript:" or "data:" website never becomes a live link
+ */
+MapProvider.isWebUrl = function(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Clusters stop forming at this zoom so overlapping markers can still be reached
+ */
+MapProvider.CLUSTER_MAX_ZOOM = 18;
+
+/**
+ * Group projected marker positions by screen grid cell
+ * @param {Array<{x: number, y: number}>} points - World pixel coordinates at the current zoom
+ * @param {number} cellSize - Grid cell size in pixels
+ * @returns {number[][]} Groups of indexes into points
+ */
+MapProvider.clusterPoints = function(points, cellSize = 60) {
+  const cells = new Map();
+  points.forEach((point, index) => {
+    const key = `${Math.floor(point.x / cellSize)}:${Math.floor(point.y / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(index);
+  });
+  return Array.from(cells.values());
+};
+
+/**
+ * Size bucket for a cluster bubble
+ */
+MapProvider.clusterSize = function(count) {
+  return count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
+};
+
+/**
+ * Default hexagon radius for density layers, in pixels
+ */
+MapProvider.DENSITY_RADIUS = 24;
+
+/**
+ * Bin projected points into a pointy-top hexagon grid
+ * @param {Array<{x: number, y: number, weight: number}>} points - World pixel coordinates
+ * @param {number} radius - Hexagon radius in pixels
+ * @returns {Array<{x: number, y: number, count: number, weight: number}>} Bins with their center
+ */
+MapProvider.hexbin = function(points, radius) {
+  const dx = radius * Math.sqrt(3);
+  const dy = radius * 1.5;
+  const bins = new Map();
+
+  points.forEach(point => {
+    const py = point.y / dy;
+    let pj = Math.round(py);
+    const px = point.x / dx - (pj & 1) / 2;
+    let pi = Math.round(px);
+    const py1 = py - pj;
+
+    // Near a row boundary the closest hexagon may be in the neighbouring row
+    if (Math.abs(py1) * 3 > 1) {
+      const px1 = px - pi;
+      const pi2 = pi + (px < pi ? -1 : 1) / 2;
+      const pj2 = pj + (py < pj ? -1 : 1);
+      const px2 = px - pi2;
+      const py2 = py - pj2;
+      if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+        pi = pi2 + (pj & 1 ? 1 : -1) / 2;
+        pj = pj2;
+      }
+    }
+
+    const key = `${pi}:${pj}`;
+    let bin = bins.get(key);
+    if (!bin) {
+      bin = { x: (pi + (pj & 1) / 2) * dx, y: pj * dy, count: 0, weight: 0 };
+      bins.set(key, bin);
+    }
+    bin.count++;
+    bin.weight += point.weight;
+  });
+
+  return Array.from(bins.values());
+};
+
+/**
+ * Corner pixel positions of a pointy-top hexagon
+ */
+MapProvider.hexCorners = function(x, y, radius) {
+  return [0, 1, 2, 3, 4, 5].map(i => {
+    const angle = i * Math.PI / 3;
+    return [x + Math.sin(angle) * radius, y - Math.cos(angle) * radius];
+  });
+};
+
+/**
+ * Fill color for a density ratio between 0 and 1 (pale yellow to dark red)
+ */
+MapProvider.densityColor = function(ratio) {
+  const from = [253, 230, 138];
+  const to = [185, 28, 28];
+  const channel = i => Math.round(from[i] + (to[i] - from[i]) * ratio);
+  return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+};
+
+/**
+ * Tooltip text for a density bin
+ */
+MapProvider.describeDensityBin = function(bin, weightLabel) {
+  const count = `${bin.count} location${bin.count === 1 ? '' : 's'}`;
+  return weightLabel ? `${count} · ${weightLabel} ${Math.round(bin.weight * 10) / 10}` : count;
+};
+
 /**
  * Factory to create the appropriate map provider
  */
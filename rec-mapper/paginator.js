@@ -0,0 +1,127 @@
+/**
+ * Paginator - Follows "next page" controls so a learned pattern can be
+ * applied across every page of a listing
+ */
+
+const Paginator = {
+  // Query parameters commonly used for page numbers
+  pageParams: ['page', 'p', 'pg', 'pagenum', 'page_number', 'paged'],
+
+  // Link text that usually means "next page"
+  nextTextPattern: /^(next|next page|more|older|›|»|→|>|>>)\s*[›»→>]*$/i,
+
+  /**
+   * Describe the clicked "next" control so it can be found again on other pages
+   */
+  describeNextControl(element) {
+    const control = element.closest('a[href], button, [role="button"]') || element;
+    const classes = Array.from(control.classList)
+      .filter(c => !c.startsWith('rec-mapper-'))
+      .map(c => '.' + CSS.escape(c))
+      .join('');
+
+    return {
+      selector: control.tagName.toLowerCase() + classes,
+      text: (control.textContent || '').trim(),
+      rel: control.getAttribute('rel') || null,
+      href: control.tagName === 'A' ? control.href : null
+    };
+  },
+
+  /**
+   * Find the "next" link in a document using the recorded description
+   */
+  findNextLink(doc, spec) {
+    const relNext = doc.querySelector('a[rel~="next"][href], link[rel~="next"][href]');
+    if (relNext) return relNext;
+
+    try {
+      const candidates = Array.from(doc.querySelectorAll(spec.selector))
+        .filter(el => el.tagName === 'A' && el.getAttribute('href'));
+
+      // Prefer the candidate whose text matches what the user clicked
+      const sameText = candidates.find(el => (el.textContent || '').trim() === spec.text);
+      if (sameText) return sameText;
+      if (candidates.length === 1) return candidates[0];
+    } catch (e) {
+      console.warn('Next control selector failed:', spec.selector, e);
+    }
+
+    return Array.from(doc.querySelectorAll('a[href]'))
+      .find(el => this.nextTextPattern.test((el.textContent || '').trim())) || null;
+  },
+
+  /**
+   * Work out the URL of the page after currentUrl
+   */
+  getNextUrl(doc, spec, currentUrl) {
+    const link = this.findNextLink(doc, spec);
+    if (link) {
+      const href = link.getAttribute('href');
+      if (href && !href.startsWith('#') && !/^javascript:/i.test(href)) {
+        try {
+          return new URL(href, currentUrl).href;
+        } catch (e) {
+          // Fall through to page number detection
+        }
+      }
+    }
+
+    return this.incrementPageNumber(currentUrl);
+  },
+
+  /**
+   * Increment a ?page=N style parameter or a /page/N path segment already in
+   * the URL. Returns null when there is none: guessing one would fetch pages
+   * that don't exist, or the same page again.
+   */
+  incrementPageNumber(currentUrl) {
+    let url;
+    try {
+      url = new URL(currentUrl);
+    } catch (e) {
+      return null;
+    }
+
+    for (const param of this.pageParams) {
+      const value = url.searchParams.get(param);
+      if (value !== null && /^\d+$/.test(value)) {
+        url.searchParams.set(param, String(parseInt(value) + 1));
+        return url.href;
+      }
+    }
+
+    const pathMatch = url.pathname.match(/\/page\/(\d+)\/?$/i);
+    if (pathMatch) {
+      url.pathname = url.pathname.replace(/\/page\/\d+(\/?)$/i, `/page/${parseInt(pathMatch[1]) + 1}$1`);
+      return url.href;
+    }
+
+    return null;
+  },
+
+  /**
+   * Fetch a page and parse it into a detached document
+   */
+  async fetchPage(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // Resolve relative links against the fetched page, not the current one
+    const base = doc.createElement('base');
+    base.href = url;
+    doc.head.prepend(base);
+
+    return doc;
+  }
+};
+
+// Make available to content script
+if (typeof window !== 'undefined') {
+  window.Paginator = Paginator;
+}
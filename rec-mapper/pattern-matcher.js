@@ -51,6 +51,44 @@ const PatternMatcher = {
     return path.join(' > ');
   },
 
+  /**
+   * Get a selector for a descendant relative to a container element,
+   * built from tags and classes so it applies to sibling containers too
+   */
+  getRelativeSelector(container, descendant) {
+    if (!container || !descendant || !container.contains(descendant) || container === descendant) {
+      return null;
+    }
+
+    const path = [];
+    let current = descendant;
+
+    while (current && current !== container) {
+      let selector = current.tagName.toLowerCase();
+
+      const classes = Array.from(current.classList)
+        .filter(c => !c.startsWith('rec-mapper-'))
+        .slice(0, 2)
+        .map(c => '.' + CSS.escape(c))
+        .join('');
+      selector += classes;
+
+      // Disambiguate same-tag siblings only when classes don't
+      const parent = current.parentElement;
+      if (parent && !classes) {
+        const siblings = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+        if (siblings.length > 1) {
+          selector += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+        }
+      }
+
+      path.unshift(selector);
+      current = current.parentElement;
+    }
+
+    return ':scope > ' + path.join(' > ');
+  },
+
   /**
    * Get element attributes as a fingerprint
    */
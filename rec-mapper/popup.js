@@ -8,7 +8,9 @@
   // State
   const state = {
     mapProvider: 'osm',
-    apiKey: null
+    apiKey: null,
+    geocoderSettings: {}, // Per-provider settings, keyed by Geocoder.providers id
+    geocoderChain: { fallbacks: [], simplify: false } // See Geocoder.loadChain
   };
 
   // DOM Elements
@@ -28,8 +30,13 @@
         cancelApiKey: document.getElementById('btn-cancel-api-key'),
         changeApiKey: document.getElementById('btn-change-api-key'),
         clearCache: document.getElementById('btn-clear-cache'),
+        exportCache: document.getElementById('btn-export-cache'),
+        importCache: document.getElementById('btn-import-cache'),
         clearSaved: document.getElementById('btn-clear-saved'),
-        loadSaved: document.getElementById('btn-load-saved')
+        clearRecipes: document.getElementById('btn-clear-recipes'),
+        loadSaved: document.getElementById('btn-load-saved'),
+        importList: document.getElementById('btn-import-list'),
+        saveProviderSettings: document.getElementById('btn-save-provider-settings')
       },
       apiKeyModal: document.getElementById('api-key-modal'),
       apiKeyInput: document.getElementById('api-key-input'),
@@ -38,7 +45,18 @@
       settingsPanel: document.getElementById('settings-panel'),
       savedDataSection: document.getElementById('saved-data-section'),
       savedDataSelect: document.getElementById('saved-data-select'),
-      mapProviderRadios: document.querySelectorAll('input[name="map-provider"]')
+      recipeCount: document.getElementById('recipe-count'),
+      mapProviderSelect: document.getElementById('map-provider'),
+      providerDescription: document.getElementById('provider-description'),
+      providerSettingsSection: document.getElementById('provider-settings-section'),
+      providerSettings: document.getElementById('provider-settings'),
+      providerSettingsStatus: document.getElementById('provider-settings-status'),
+      fallbackProviders: document.getElementById('fallback-providers'),
+      cacheStats: document.getElementById('cache-stats'),
+      usageStats: document.getElementById('usage-stats'),
+      googleBudget: document.getElementById('google-budget'),
+      cacheFile: document.getElementById('cache-file'),
+      chainSimplify: document.getElementById('chain-simplify')
     };
   }
 
@@ -56,7 +74,9 @@
     const stored = await chrome.storage.local.get([
       'googleMapsApiKey',
       'savedExtractions',
-      'mapProvider'
+      'savedRecipes',
+      'mapProvider',
+      'geocoderChain'
     ]);
 
     if (stored.googleMapsApiKey) {
@@ -64,14 +84,23 @@
       elements.apiKeyStatus.textContent = '••••' + state.apiKey.slice(-4);
     }
 
-    if (stored.mapProvider) {
+    state.geocoderSettings = await Geocoder.loadSettings();
+    Object.entries(Geocoder.providers).forEach(([id, provider]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = provider.label;
+      elements.mapProviderSelect.appendChild(option);
+    });
+
+    if (stored.mapProvider && Geocoder.providers[stored.mapProvider]) {
       state.mapProvider = stored.mapProvider;
-      elements.mapProviderRadios.forEach(radio => {
-        radio.checked = radio.value === state.mapProvider;
-      });
     }
+    elements.mapProviderSelect.value = state.mapProvider;
+    state.geocoderChain = { ...state.geocoderChain, ...stored.geocoderChain };
+    elements.chainSimplify.checked = state.geocoderChain.simplify;
 
     updateProviderUI();
+    updateRecipeCount(stored.savedRecipes);
 
     // Show saved extractions if any
     if (stored.savedExtractions && Object.keys(stored.savedExtractions).length > 0) {
@@ -101,6 +130,88 @@
     } else {
       elements.googleKeySection.classList.add('hidden');
     }
+
+    elements.providerDescription.textContent = Geocoder.getProvider(state.mapProvider).description || '';
+    renderProviderSettings();
+    renderFallbackProviders();
+  }
+
+  /**
+   * List the other providers as fallbacks. Ones without their settings can't be picked.
+   */
+  function renderFallbackProviders() {
+    elements.fallbackProviders.innerHTML = '';
+
+    Object.entries(Geocoder.providers).forEach(([id, provider]) => {
+      if (id === state.mapProvider) return;
+      const configured = Geocoder.isConfigured(id, state.geocoderSettings[id]);
+
+      const label = document.createElement('label');
+      label.className = 'chain-option' + (configured ? '' : ' disabled');
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = configured && state.geocoderChain.fallbacks.includes(id);
+      checkbox.disabled = !configured;
+      checkbox.addEventListener('change', () => toggleFallback(id, checkbox));
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(configured ? provider.label : `${provider.label} (not configured)`));
+      elements.fallbackProviders.appendChild(label);
+    });
+  }
+
+  /**
+   * Add or remove a fallback provider, keeping the list in the dropdown's order
+   */
+  async function toggleFallback(id, checkbox) {
+    if (checkbox.checked && !await requestHostPermission(id, state.geocoderSettings[id])) {
+      checkbox.checked = false;
+      return;
+    }
+
+    const selected = new Set(state.geocoderChain.fallbacks);
+    if (checkbox.checked) {
+      selected.add(id);
+    } else {
+      selected.delete(id);
+    }
+    state.geocoderChain.fallbacks = Object.keys(Geocoder.providers).filter(key => selected.has(key));
+    await chrome.storage.local.set({ geocoderChain: state.geocoderChain });
+  }
+
+  /**
+   * Show the selected provider's settings fields. Google keeps its own key dialog.
+   */
+  function renderProviderSettings() {
+    const fields = state.mapProvider === 'google' ? [] : Geocoder.getProvider(state.mapProvider).settings;
+    const values = state.geocoderSettings[state.mapProvider] || {};
+
+    elements.providerSettingsSection.classList.toggle('hidden', fields.length === 0);
+    elements.providerSettings.innerHTML = '';
+    elements.providerSettingsStatus.textContent =
+      Geocoder.isConfigured(state.mapProvider, values) ? '' : 'Not configured';
+
+    fields.forEach(field => {
+      const label = document.createElement('label');
+      label.className = 'provider-field';
+      label.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.className = 'input input-small';
+      input.type = field.secret ? 'password' : field.type || 'text';
+      input.placeholder = field.placeholder || '';
+      input.value = values[field.id] || '';
+      input.dataset.setting = field.id;
+
+      label.appendChild(input);
+      elements.providerSettings.appendChild(label);
+    });
+  }
+
+  function updateRecipeCount(recipes) {
+    const count = recipes ? Object.keys(recipes).length : 0;
+    elements.recipeCount.textContent = count > 0 ? `${count} saved` : 'None saved';
   }
 
   function populateSavedSelect(saved) {
@@ -124,22 +235,40 @@
     // Load saved and map directly
     elements.buttons.loadSaved.addEventListener('click', loadAndMapSaved);
 
+    // Import a CSV or pasted list into a fresh map
+    elements.buttons.importList.addEventListener('click', () => {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL('map.html?import=new')
+      });
+    });
+
     // Settings
     elements.buttons.settings.addEventListener('click', () => {
       elements.settingsPanel.classList.toggle('hidden');
+      if (!elements.settingsPanel.classList.contains('hidden')) {
+        updateCacheStats();
+        updateUsage();
+      }
     });
 
-    // Map provider selection
-    elements.mapProviderRadios.forEach(radio => {
-      radio.addEventListener('change', async (e) => {
-        state.mapProvider = e.target.value;
-        await chrome.storage.local.set({ mapProvider: state.mapProvider });
-        updateProviderUI();
+    // Geocoding provider selection
+    elements.mapProviderSelect.addEventListener('change', async () => {
+      state.mapProvider = elements.mapProviderSelect.value;
+      await chrome.storage.local.set({ mapProvider: state.mapProvider });
+      updateProviderUI();
 
-        if (state.mapProvider === 'google' && !state.apiKey) {
-          elements.apiKeyModal.classList.remove('hidden');
-        }
-      });
+      if (state.mapProvider === 'google' && !state.apiKey) {
+        elements.apiKeyModal.classList.remove('hidden');
+      } else if (Geocoder.isConfigured(state.mapProvider, state.geocoderSettings[state.mapProvider])) {
+        await requestHostPermission(state.mapProvider, state.geocoderSettings[state.mapProvider]);
+      }
+    });
+    elements.buttons.saveProviderSettings.addEventListener('click', saveProviderSettings);
+
+    // Fallback chain
+    elements.chainSimplify.addEventListener('change', () => {
+      state.geocoderChain.simplify = elements.chainSimplify.checked;
+      chrome.storage.local.set({ geocoderChain: state.geocoderChain });
     });
 
     // API Key
@@ -153,7 +282,7 @@
       elements.apiKeyModal.classList.add('hidden');
       if (!state.apiKey && state.mapProvider === 'google') {
         state.mapProvider = 'osm';
-        elements.mapProviderRadios.forEach(r => r.checked = r.value === 'osm');
+        elements.mapProviderSelect.value = 'osm';
         updateProviderUI();
         chrome.storage.local.set({ mapProvider: 'osm' });
       }
@@ -161,10 +290,22 @@
 
     // Clear cache
     elements.buttons.clearCache.addEventListener('click', clearCache);
+    elements.buttons.exportCache.addEventListener('click', exportCache);
+    elements.buttons.importCache.addEventListener('click', () => elements.cacheFile.click());
+    elements.cacheFile.addEventListener('change', importCache);
+
+    // Usage budget
+    elements.googleBudget.addEventListener('change', async () => {
+      await UsageLedger.setBudget('google', parseInt(elements.googleBudget.value) || 0);
+      updateUsage();
+    });
 
     // Clear saved
     elements.buttons.clearSaved.addEventListener('click', clearSaved);
 
+    // Clear recipes
+    elements.buttons.clearRecipes.addEventListener('click', clearRecipes);
+
     // Listen for messages from content script
     chrome.runtime.onMessage.addListener(handleMessage);
 
@@ -189,7 +330,7 @@
       // Content script not loaded, inject it
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['address-parser.js', 'pattern-matcher.js', 'content.js']
+        files: ['address-parser.js', 'pattern-matcher.js', 'paginator.js', 'structured-data.js', 'table-extractor.js', 'area-detector.js', 'content.js']
       });
       await chrome.scripting.insertCSS({
         target: { tabId: tab.id },
@@ -238,6 +379,9 @@
         mapData: {
           addresses: saved.addresses,
           searchArea: saved.searchArea || '',
+          pageUrl: saved.pageUrl || '',
+          pageTitle: saved.pageTitle || name,
+          savedName: name,
           timestamp: Date.now()
         }
       });
@@ -272,16 +416,155 @@
     }
 
     state.apiKey = key;
+    state.geocoderSettings.google = { ...state.geocoderSettings.google, apiKey: key };
     await chrome.storage.local.set({ googleMapsApiKey: key });
+    renderFallbackProviders();
 
     elements.apiKeyStatus.textContent = '••••' + key.slice(-4);
     elements.apiKeyModal.classList.add('hidden');
     elements.apiKeyInput.value = '';
   }
 
+  /**
+   * Store the settings typed for the selected provider
+   */
+  async function saveProviderSettings() {
+    const provider = Geocoder.getProvider(state.mapProvider);
+    const values = {};
+    elements.providerSettings.querySelectorAll('[data-setting]').forEach(input => {
+      const value = input.value.trim();
+      if (value) values[input.dataset.setting] = value;
+    });
+
+    if (!Geocoder.isConfigured(state.mapProvider, values)) {
+      const missing = provider.settings.filter(field => field.required && !values[field.id]);
+      alert(`Please enter: ${missing.map(field => field.label).join(', ')}.`);
+      return;
+    }
+
+    if (!await requestHostPermission(state.mapProvider, values)) {
+      alert('Rec Mapper needs permission to reach this server.');
+      return;
+    }
+
+    state.geocoderSettings[state.mapProvider] = values;
+
+    // The Google key is stored on its own
+    const { google, ...settings } = state.geocoderSettings;
+    await chrome.storage.local.set({ geocoderSettings: settings });
+
+    // Cached results may have come from a different server
+    await Geocoder.clearCache(state.mapProvider);
+    elements.providerSettingsStatus.textContent = 'Saved';
+  }
+
+  /**
+   * Ask for access to a provider's server; built-in hosts are already granted
+   */
+  async function requestHostPermission(providerId, settings) {
+    const origins = Geocoder.getHostPermissions(providerId, settings || {});
+    if (origins.length === 0) return true;
+
+    try {
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      return false;
+    }
+  }
+
   async function clearCache() {
     const count = await Geocoder.clearCache();
     alert(`Cleared ${count} cached geocode results.`);
+    updateCacheStats();
+  }
+
+  /**
+   * Show how many results are cached, e.g. "1,204 cached (OSM 1,100, Google 104)"
+   */
+  async function updateCacheStats() {
+    const { count, byProvider } = await GeocodeCache.stats();
+    if (count === 0) {
+      elements.cacheStats.textContent = 'Empty';
+      return;
+    }
+
+    const parts = Object.entries(byProvider)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, n]) => `${(Geocoder.providers[id] && Geocoder.providers[id].name) || id} ${n.toLocaleString()}`);
+    elements.cacheStats.textContent = `${count.toLocaleString()} cached (${parts.join(', ')})`;
+    elements.cacheStats.title = elements.cacheStats.textContent;
+  }
+
+  /**
+   * Show requests sent and cache hits per provider for today and this month,
+   * against any monthly budget
+   */
+  async function updateUsage() {
+    const { today, month } = UsageLedger.summarize(await UsageLedger.load());
+    const budgets = await UsageLedger.getBudgets();
+    elements.googleBudget.value = budgets.google || '';
+
+    const ids = Object.keys(month).sort((a, b) => month[b].network - month[a].network);
+    if (ids.length === 0) {
+      elements.usageStats.textContent = 'No requests this month';
+      return;
+    }
+
+    const cell = (counts, limit) => {
+      if (!counts) return '<td>0</td>';
+      const over = limit > 0 && counts.network >= limit;
+      return `<td><span class="${over ? 'usage-over' : ''}">${counts.network.toLocaleString()}${limit > 0 ? ` of ${limit.toLocaleString()}` : ''}</span>` +
+        (counts.cached ? ` <span class="usage-cached">+${counts.cached.toLocaleString()} cached</span>` : '') + '</td>';
+    };
+
+    elements.usageStats.innerHTML = `
+      <table>
+        <tr><th>Requests</th><th>Today</th><th>This month</th></tr>
+        ${ids.map(id => `
+          <tr>
+            <td>${(Geocoder.providers[id] && Geocoder.providers[id].name) || id}</td>
+            ${cell(today[id])}
+            ${cell(month[id], budgets[id])}
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  /**
+   * Save the cache as a JSON file that teammates can import
+   */
+  async function exportCache() {
+    const data = await GeocodeCache.export();
+    if (data.entries.length === 0) {
+      alert('The geocode cache is empty.');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `rec-mapper-geocode-cache-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function importCache() {
+    const file = elements.cacheFile.files[0];
+    if (!file) return;
+    elements.cacheFile.value = '';
+
+    try {
+      const { imported, skipped } = await GeocodeCache.import(JSON.parse(await file.text()));
+      alert(`Imported ${imported} geocode results` + (skipped ? ` (${skipped} skipped).` : '.'));
+    } catch (error) {
+      alert(`Could not import the cache: ${error.message}`);
+    }
+    updateCacheStats();
   }
 
   async function clearSaved() {
@@ -291,6 +574,12 @@
     elements.savedDataSelect.innerHTML = '<option value="">Select saved data...</option>';
   }
 
+  async function clearRecipes() {
+    if (!confirm('Delete all saved site recipes?')) return;
+    await chrome.storage.local.remove('savedRecipes');
+    updateRecipeCount(null);
+  }
+
   // Start
   init();
 
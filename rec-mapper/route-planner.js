@@ -0,0 +1,173 @@
+/**
+ * Route Planner - Orders locations into a short visiting route using
+ * nearest-neighbour construction improved by 2-opt, on haversine distance.
+ * Runs locally; no routing service is involved.
+ */
+
+const RoutePlanner = {
+  EARTH_RADIUS_KM: 6371,
+
+  // Google Maps directions URLs take at most 9 waypoints between origin and
+  // destination, so long routes are split into legs of this many stops
+  DIRECTIONS_STOPS_PER_URL: 10,
+
+  /**
+   * Great-circle distance in kilometres
+   */
+  haversine(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * this.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  },
+
+  /**
+   * Pairwise distances as a flat n*n array
+   */
+  buildDistanceMatrix(points) {
+    const n = points.length;
+    const matrix = new Float32Array(n * n);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const d = this.haversine(points[i], points[j]);
+        matrix[i * n + j] = d;
+        matrix[j * n + i] = d;
+      }
+    }
+    return matrix;
+  },
+
+  /**
+   * Greedy tour: always visit the closest unvisited point next
+   */
+  nearestNeighbour(matrix, n, start) {
+    const visited = new Uint8Array(n);
+    const order = [start];
+    visited[start] = 1;
+
+    for (let step = 1; step < n; step++) {
+      const from = order[order.length - 1];
+      let best = -1;
+      let bestDistance = Infinity;
+      for (let j = 0; j < n; j++) {
+        if (!visited[j] && matrix[from * n + j] < bestDistance) {
+          best = j;
+          bestDistance = matrix[from * n + j];
+        }
+      }
+      visited[best] = 1;
+      order.push(best);
+    }
+
+    return order;
+  },
+
+  /**
+   * Improve an open path (fixed start, free end) by reversing segments
+   * while that shortens it
+   */
+  twoOpt(order, matrix, n, options = {}) {
+    const maxPasses = options.maxPasses || 50;
+    const deadline = Date.now() + (options.timeLimit || 2000);
+    const d = (a, b) => matrix[a * n + b];
+    const last = order.length - 1;
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+      let improved = false;
+
+      for (let i = 1; i < last; i++) {
+        for (let k = i + 1; k <= last; k++) {
+          const before = d(order[i - 1], order[i]) + (k < last ? d(order[k], order[k + 1]) : 0);
+          const after = d(order[i - 1], order[k]) + (k < last ? d(order[i], order[k + 1]) : 0);
+
+          if (after < before - 1e-9) {
+            // Reverse order[i..k]
+            for (let a = i, b = k; a < b; a++, b--) {
+              const tmp = order[a];
+              order[a] = order[b];
+              order[b] = tmp;
+            }
+            improved = true;
+          }
+        }
+
+        if (Date.now() > deadline) return order;
+      }
+
+      if (!improved) break;
+    }
+
+    return order;
+  },
+
+  /**
+   * Total length of a path in kilometres
+   */
+  pathDistance(order, matrix, n) {
+    let total = 0;
+    for (let i = 1; i < order.length; i++) {
+      total += matrix[order[i - 1] * n + order[i]];
+    }
+    return total;
+  },
+
+  /**
+   * Plan a visiting order over points, starting from points[start]
+   * @param {Array<{lat: number, lng: number}>} points
+   * @param {number} start - Index of the starting point
+   * @returns {{ order: number[], distance: number }} Indexes into points, and length in km
+   */
+  plan(points, start = 0) {
+    const n = points.length;
+    if (n === 0) return { order: [], distance: 0 };
+    if (n === 1) return { order: [0], distance: 0 };
+
+    const matrix = this.buildDistanceMatrix(points);
+    const order = this.twoOpt(this.nearestNeighbour(matrix, n, start), matrix, n);
+
+    return {
+      order,
+      distance: this.pathDistance(order, matrix, n)
+    };
+  },
+
+  /**
+   * Google Maps directions URLs for the ordered points, one per leg.
+   * Each leg starts where the previous one ended.
+   * @param {Array<{lat: number, lng: number}>} points - Already in visiting order
+   * @returns {Array<{ url: string, from: number, to: number }>} from/to are 1-based stop numbers
+   */
+  toGoogleMapsUrls(points, travelMode = 'driving') {
+    const perUrl = this.DIRECTIONS_STOPS_PER_URL;
+    const legs = [];
+    const format = p => `${p.lat.toFixed(6)},${p.lng.toFixed(6)}`;
+
+    for (let first = 0; first < points.length - 1; first += perUrl - 1) {
+      const stops = points.slice(first, first + perUrl);
+      const params = new URLSearchParams({
+        api: '1',
+        origin: format(stops[0]),
+        destination: format(stops[stops.length - 1]),
+        travelmode: travelMode
+      });
+      if (stops.length > 2) {
+        params.set('waypoints', stops.slice(1, -1).map(format).join('|'));
+      }
+
+      legs.push({
+        url: `https://www.google.com/maps/dir/?${params.toString()}`,
+        from: first + 1,
+        to: first + stops.length
+      });
+    }
+
+    return legs;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.RoutePlanner = RoutePlanner;
+}
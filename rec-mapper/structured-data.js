@@ -0,0 +1,234 @@
+/**
+ * Structured Data - Reads schema.org PostalAddress, Place, LocalBusiness and
+ * GeoCoordinates from JSON-LD and microdata embedded in the page
+ */
+
+const StructuredData = {
+  /**
+   * Collect every entity with an address or coordinates from the document
+   * @returns {Array<{ name, address, addressParts, lat, lng, fields, element }>}
+   */
+  harvest(doc = document) {
+    const entities = [
+      ...this.harvestJsonLd(doc),
+      ...this.harvestMicrodata(doc)
+    ];
+
+    // The same place is often described in both formats
+    const seen = new Set();
+    return entities.filter(entity => {
+      const key = `${(entity.name || '').toLowerCase()}|${(entity.address || '').toLowerCase()}|${entity.lat}|${entity.lng}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  },
+
+  /**
+   * Entities from <script type="application/ld+json"> blocks
+   */
+  harvestJsonLd(doc) {
+    const entities = [];
+
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (e) {
+        return; // Malformed JSON-LD is common, skip it
+      }
+      this.walkJsonLd(data, entities);
+    });
+
+    return entities;
+  },
+
+  walkJsonLd(node, entities) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(child => this.walkJsonLd(child, entities));
+      return;
+    }
+
+    const entity = this.toEntity(node);
+    if (entity) {
+      entities.push(entity);
+      // Nested PostalAddress/GeoCoordinates are already part of this entity
+      Object.entries(node).forEach(([key, value]) => {
+        if (key !== 'address' && key !== 'geo') this.walkJsonLd(value, entities);
+      });
+      return;
+    }
+
+    Object.values(node).forEach(value => this.walkJsonLd(value, entities));
+  },
+
+  /**
+   * Entities from itemscope/itemprop microdata
+   */
+  harvestMicrodata(doc) {
+    return Array.from(doc.querySelectorAll('[itemscope]'))
+      // Addresses and coordinates nested in another item belong to that item
+      .filter(el => !(/(PostalAddress|GeoCoordinates)$/.test(el.getAttribute('itemtype') || '') &&
+        el.parentElement?.closest('[itemscope]')))
+      .map(el => {
+        const entity = this.toEntity(this.readMicrodataItem(el));
+        if (entity) entity.element = el;
+        return entity;
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Convert a microdata item into a JSON-LD-like object
+   */
+  readMicrodataItem(scope) {
+    const item = {};
+    const itemtype = scope.getAttribute('itemtype') || '';
+    item['@type'] = itemtype.split('/').pop();
+
+    scope.querySelectorAll('[itemprop]').forEach(propEl => {
+      // Skip properties that belong to a nested item
+      if (propEl.parentElement.closest('[itemscope]') !== scope) return;
+
+      const value = propEl.hasAttribute('itemscope') ?
+        this.readMicrodataItem(propEl) :
+        this.readMicrodataValue(propEl);
+
+      propEl.getAttribute('itemprop').split(/\s+/).forEach(name => {
+        if (!(name in item)) item[name] = value;
+      });
+    });
+
+    return item;
+  },
+
+  readMicrodataValue(el) {
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    if (el.tagName === 'A' || el.tagName === 'LINK') return el.href;
+    if (el.tagName === 'TIME' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    if (el.tagName === 'META') return el.getAttribute('content');
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Build an entity from a schema.org node if it carries an address or coordinates
+   */
+  toEntity(node) {
+    if (!node || typeof node !== 'object') return null;
+
+    const types = [].concat(node['@type'] || []).map(String);
+    const isAddress = types.includes('PostalAddress');
+    const isGeo = types.includes('GeoCoordinates');
+
+    const addressNode = isAddress ? node : this.first(node.address);
+    const geoNode = isGeo ? node : this.first(node.geo) ||
+      (node.latitude !== undefined ? node : null);
+
+    const address = this.formatAddress(addressNode);
+    const lat = geoNode ? parseFloat(geoNode.latitude) : NaN;
+    const lng = geoNode ? parseFloat(geoNode.longitude) : NaN;
+    const hasCoords = !isNaN(lat) && !isNaN(lng);
+
+    if (!address && !hasCoords) return null;
+
+    const rating = this.first(node.aggregateRating);
+
+    return {
+      name: this.text(node.name),
+      address,
+      addressParts: addressNode && typeof addressNode === 'object' ? {
+        locality: this.text(addressNode.addressLocality),
+        region: this.text(addressNode.addressRegion),
+        postcode: this.text(addressNode.postalCode),
+        country: this.text(addressNode.addressCountry)
+      } : null,
+      lat: hasCoords ? lat : null,
+      lng: hasCoords ? lng : null,
+      fields: this.compact({
+        name: this.text(node.name),
+        phone: this.text(node.telephone),
+        website: this.text(node.url),
+        rating: rating ? this.text(rating.ratingValue) : null,
+        hours: [].concat(node.openingHours || []).map(h => this.text(h)).filter(Boolean).join('; ') || null,
+        price: this.text(node.priceRange)
+      }),
+      element: null
+    };
+  },
+
+  /**
+   * Format a PostalAddress (or plain string) as a single geocoding query
+   */
+  formatAddress(address) {
+    if (!address) return null;
+    if (typeof address === 'string') return address.trim() || null;
+
+    const regionPostcode = [this.text(address.addressRegion), this.text(address.postalCode)]
+      .filter(Boolean)
+      .join(' ');
+
+    const parts = [
+      this.text(address.streetAddress),
+      this.text(address.addressLocality),
+      regionPostcode,
+      this.text(address.addressCountry)
+    ].filter(Boolean);
+
+    return parts.length > 0 ? parts.join(', ') : null;
+  },
+
+  /**
+   * Find the structured entity describing a clicked element, looking at the
+   * element's own itemscope, itemscopes inside it, and ancestor itemscopes
+   * that hold no other matched item. A page-wide scope such as
+   * <body itemscope itemtype="Organization"> describes the site, not each card.
+   * @param {Element} element
+   * @param {Element[]} matched - Every item matched with it
+   */
+  findForElement(element, matched = [element]) {
+    if (!element) return null;
+
+    const scopes = [];
+    const inside = element.matches('[itemscope]') ? element : element.querySelector('[itemscope]');
+    if (inside) scopes.push(inside);
+
+    let ancestor = element.parentElement?.closest('[itemscope]');
+    while (ancestor && !matched.some(other => other !== element && ancestor.contains(other))) {
+      scopes.push(ancestor);
+      ancestor = ancestor.parentElement?.closest('[itemscope]');
+    }
+
+    for (const scope of scopes) {
+      const entity = this.toEntity(this.readMicrodataItem(scope));
+      if (entity) {
+        entity.element = scope;
+        return entity;
+      }
+    }
+
+    return null;
+  },
+
+  first(value) {
+    return Array.isArray(value) ? value[0] : value;
+  },
+
+  text(value) {
+    value = this.first(value);
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return this.text(value.name || value['@id'] || null);
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || null;
+  },
+
+  compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value));
+  }
+};
+
+// Make available to content script
+if (typeof window !== 'undefined') {
+  window.StructuredData = StructuredData;
+}
@@ -0,0 +1,203 @@
+/**
+ * Table Extractor - Treats each row of an HTML table as one location and
+ * joins the columns the user assigns into a geocoding query
+ */
+
+const TableExtractor = {
+  // Column roles offered in the mapping panel, in query order for address parts
+  roles: [
+    { id: 'ignore', label: 'Ignore' },
+    { id: 'address', label: 'Full address' },
+    { id: 'street', label: 'Street' },
+    { id: 'city', label: 'City' },
+    { id: 'state', label: 'State / region' },
+    { id: 'zip', label: 'ZIP / postcode' },
+    { id: 'country', label: 'Country' },
+    { id: 'name', label: 'Name' },
+    { id: 'phone', label: 'Phone' },
+    { id: 'website', label: 'Website' },
+    { id: 'rating', label: 'Rating' },
+    { id: 'hours', label: 'Hours' },
+    { id: 'price', label: 'Price' }
+  ],
+
+  // Header names recognized when guessing roles
+  roleHints: {
+    address: /^(full\s*)?(address|location|addr)$/i,
+    street: /^(street|street address|address\s*1|address line 1|road)$/i,
+    city: /^(city|town|locality|municipality|suburb)$/i,
+    state: /^(state|province|region|county|st)$/i,
+    zip: /^(zip|zip code|zipcode|postcode|postal code|post code)$/i,
+    country: /^(country|nation)$/i,
+    name: /^(name|title|club|business|venue|facility|organization|organisation|permittee|applicant)(\s*name)?$/i,
+    phone: /^(phone|telephone|tel|phone number|contact number)$/i,
+    website: /^(website|web|url|site|homepage)$/i,
+    rating: /^(rating|stars|score)$/i,
+    hours: /^(hours|opening hours|open)$/i,
+    price: /^(price|cost|fee|fees)$/i
+  },
+
+  /**
+   * Find the data table containing an element, ignoring layout tables
+   */
+  findTable(element) {
+    let table = element?.closest('table');
+    while (table) {
+      if (this.isDataTable(table)) return table;
+      table = table.parentElement?.closest('table');
+    }
+    return null;
+  },
+
+  /**
+   * A data table has several rows sharing the same column count (2+ columns)
+   */
+  isDataTable(table) {
+    const rows = Array.from(table.rows);
+    if (rows.length < 3) return false;
+
+    const widths = rows.map(row => this.getCellTexts(row).length);
+    const width = widths[widths.length - 1];
+    return width >= 2 && widths.filter(w => w === width).length >= rows.length * 0.8;
+  },
+
+  /**
+   * Read cell texts for a row, repeating colspan cells so columns stay aligned
+   */
+  getCellTexts(row) {
+    const texts = [];
+    Array.from(row.cells).forEach(cell => {
+      const text = AddressParser.extractText(cell);
+      const span = Math.max(1, parseInt(cell.getAttribute('colspan')) || 1);
+      for (let i = 0; i < span; i++) texts.push(text);
+    });
+    return texts;
+  },
+
+  /**
+   * Find the cell covering a column, accounting for colspan
+   */
+  getCellAt(row, column) {
+    let position = 0;
+    for (const cell of row.cells) {
+      position += Math.max(1, parseInt(cell.getAttribute('colspan')) || 1);
+      if (position > column) return cell;
+    }
+    return null;
+  },
+
+  /**
+   * Locate the header row: the last row of <thead>, or a leading row of <th> cells
+   * @returns {{ headerRow: HTMLTableRowElement|null, headers: string[], bodyRows: HTMLTableRowElement[], samples: string[] }}
+   */
+  describe(table) {
+    const rows = Array.from(table.rows);
+    let headerRow = null;
+
+    if (table.tHead && table.tHead.rows.length > 0) {
+      headerRow = table.tHead.rows[table.tHead.rows.length - 1];
+    } else if (rows[0] && Array.from(rows[0].cells).every(cell => cell.tagName === 'TH')) {
+      headerRow = rows[0];
+    }
+
+    // Everything after the header, minus <tfoot> and title rows that span the table
+    const bodyRows = rows
+      .slice(headerRow ? rows.indexOf(headerRow) + 1 : 0)
+      .filter(row => row.parentElement !== table.tFoot && row.cells.length > 1);
+
+    const width = Math.max(0, ...bodyRows.map(row => this.getCellTexts(row).length));
+    const headerTexts = headerRow ? this.getCellTexts(headerRow) : [];
+    const headers = Array.from({ length: width }, (_, i) => headerTexts[i] || `Column ${i + 1}`);
+
+    // First non-empty value in each column, to help when headers are missing
+    const samples = headers.map((_, i) => {
+      for (const row of bodyRows) {
+        const value = this.getCellTexts(row)[i];
+        if (value) return value;
+      }
+      return '';
+    });
+
+    return { headerRow, headers, bodyRows, samples };
+  },
+
+  /**
+   * Guess a role for each column from its header
+   */
+  guessRoles(headers) {
+    const used = new Set();
+    return headers.map(header => {
+      const role = Object.keys(this.roleHints)
+        .find(id => !used.has(id) && this.roleHints[id].test(header.trim()));
+      if (!role) return 'ignore';
+      used.add(role);
+      return role;
+    });
+  },
+
+  /**
+   * Join the mapped columns of one row into a geocoding query
+   * @param {string[]} cells
+   * @param {string[]} roles - One role id per column
+   */
+  buildQuery(cells, roles) {
+    const valuesFor = role => roles
+      .map((r, i) => (r === role ? (cells[i] || '').trim() : ''))
+      .filter(Boolean);
+
+    const regionPostcode = [...valuesFor('state'), ...valuesFor('zip')].join(' ');
+
+    return [
+      ...valuesFor('address'),
+      ...valuesFor('street'),
+      ...valuesFor('city'),
+      regionPostcode,
+      ...valuesFor('country')
+    ].filter(Boolean).join(', ');
+  },
+
+  /**
+   * Turn every body row into a location
+   * @returns {Array<{ row: HTMLTableRowElement, address: string, fields: Object, addressParts: Object, rawText: string }>}
+   */
+  extract(table, roles) {
+    const { bodyRows } = this.describe(table);
+
+    return bodyRows.map(row => {
+      const cells = this.getCellTexts(row);
+      const first = role => {
+        const index = roles.indexOf(role);
+        return index >= 0 && cells[index] ? cells[index] : null;
+      };
+
+      const fields = {};
+      AddressParser.fieldNames.forEach(role => {
+        const value = first(role);
+        if (value) fields[role] = value;
+      });
+
+      // Prefer the real link target when the website column holds a link
+      const websiteIndex = roles.indexOf('website');
+      const websiteLink = websiteIndex >= 0 && this.getCellAt(row, websiteIndex)?.querySelector('a[href^="http"]');
+      if (websiteLink) fields.website = websiteLink.href;
+
+      return {
+        row,
+        address: this.buildQuery(cells, roles),
+        fields,
+        addressParts: {
+          locality: first('city'),
+          region: first('state'),
+          postcode: first('zip'),
+          country: first('country')
+        },
+        rawText: cells.filter(Boolean).join(', ')
+      };
+    }).filter(item => item.address);
+  }
+};
+
+// Make available to content script
+if (typeof window !== 'undefined') {
+  window.TableExtractor = TableExtractor;
+}
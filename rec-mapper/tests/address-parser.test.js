@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const AddressParser = loadScripts(['address-parser.js']).get('AddressParser');
+
+// Card texts as extractText() returns them from real listing pages
+const CARDS = [
+  {
+    text: 'Blue Bottle Coffee, 300 Webster St, Oakland, CA 94607, (510) 653-3394, Open until 5 pm',
+    address: '300 Webster St, Oakland, CA 94607',
+    locality: 'Oakland', region: 'CA', postcode: '94607', country: 'US'
+  },
+  {
+    text: 'Sunset Park 123 Main Street Portland, OR 97201',
+    address: '123 Main Street Portland, OR 97201',
+    locality: 'Portland', region: 'OR', postcode: '97201'
+  },
+  {
+    text: 'Capitol Deli, 123 Main St NW Washington, DC 20001',
+    locality: 'Washington', region: 'DC', postcode: '20001'
+  },
+  {
+    text: 'St Louis Bread Co, 100 Market St, St Louis, MO 63101, 4.5 stars',
+    address: '100 Market St, St Louis, MO 63101',
+    locality: 'St Louis', region: 'MO'
+  },
+  {
+    text: 'Riverside Clinic, 2000 Riverside Dr, Austin, TX 78701',
+    address: '2000 Riverside Dr, Austin, TX 78701',
+    locality: 'Austin', components: ['street', 'usCityStateZip']
+  },
+  {
+    text: 'Joe\'s Pizza, Suite 200, 1435 Broadway, New York, NY 10018',
+    locality: 'New York', region: 'NY', postcode: '10018'
+  },
+  {
+    text: 'The Old Bookshop, 221B Baker Street, London NW1 6XE, United Kingdom',
+    locality: 'London', postcode: 'NW1 6XE', country: 'GB'
+  },
+  {
+    text: 'Maple Leaf Diner, 55 King St W, Toronto, ON M5H 1J9',
+    region: 'ON', postcode: 'M5H 1J9', country: 'CA'
+  },
+  {
+    text: 'Harbour Café, 12 George St, Sydney NSW 2000',
+    locality: 'Sydney', region: 'NSW', postcode: '2000', country: 'AU'
+  },
+  {
+    text: 'Café Mitte, Torstraße 5, 10115 Berlin',
+    address: 'Torstraße 5, 10115 Berlin',
+    locality: 'Berlin', postcode: '10115'
+  },
+  {
+    text: 'Librairie, 12 rue de la Paix, 75002 Paris, France',
+    locality: 'Paris', postcode: '75002'
+  },
+  {
+    text: 'Kerkstraat 12, 1017 GC Amsterdam',
+    locality: 'Amsterdam', postcode: '1017 GC'
+  },
+  {
+    text: 'Trattoria, Via Roma 12, 00184 Roma, Italia',
+    locality: 'Roma', postcode: '00184'
+  },
+  {
+    text: 'Musterhaus GmbH, 10115 Berlin, Germany',
+    locality: 'Berlin', postcode: '10115'
+  }
+];
+
+// Card texts with numbers and capitalized words that are not addresses
+const NOT_ADDRESSES = [
+  '2000 Riverside',
+  'Founded 1998 Best Pizza in Town',
+  'Best Pizza in Town since 1998, 4.8 stars, 1200 reviews',
+  'Call (503) 555-0134 for reservations',
+  'Open Mon-Fri 9am-5pm'
+];
+
+test('recognizes addresses in card texts', async t => {
+  for (const card of CARDS) {
+    await t.test(card.text, () => {
+      const result = AddressParser.findAddress(card.text);
+      assert.ok(result, 'no address found');
+      ['address', 'locality', 'region', 'postcode', 'country'].forEach(key => {
+        if (key in card) assert.strictEqual(result[key], card[key], key);
+      });
+      if (card.components) assert.deepStrictEqual([...result.components], card.components);
+      assert.ok(result.confidence > 0 && result.confidence <= 1);
+    });
+  }
+});
+
+test('finds no address in texts without one', async t => {
+  for (const text of NOT_ADDRESSES) {
+    await t.test(text, () => {
+      assert.strictEqual(AddressParser.findAddress(text), null);
+    });
+  }
+});
+
+test('trims street lines run into the city name', () => {
+  assert.strictEqual(AddressParser.trimLocality('Main Street Portland'), 'Portland');
+  assert.strictEqual(AddressParser.trimLocality('St Louis'), 'St Louis');
+  assert.strictEqual(AddressParser.trimLocality('Ave Maria'), 'Ave Maria');
+});
+
+test('gives Google Maps link results full confidence', () => {
+  const link = {
+    tagName: 'A',
+    href: 'https://www.google.com/maps/place/Blue+Bottle+Coffee/@37.77,-122.42,17z',
+    textContent: 'Directions',
+    querySelectorAll: () => []
+  };
+  const result = AddressParser.getBestAddressText(link);
+  assert.strictEqual(result.type, 'google-maps-link');
+  assert.strictEqual(result.address, 'Blue Bottle Coffee');
+  assert.strictEqual(result.confidence, 1);
+
+  const textOnly = { ...link, href: 'https://maps.app.goo.gl/abc123', textContent: '300 Webster St' };
+  assert.strictEqual(AddressParser.getBestAddressText(textOnly).confidence, 1);
+});
+
+test('reads phone numbers but not ZIP+4 codes', () => {
+  const phone = text => AddressParser.detectField({ querySelector: () => null }, 'phone', text);
+  assert.strictEqual(phone('Powell\'s, 1005 W Burnside St, Portland, OR 97209-2902, (503) 228-4651'), '(503) 228-4651');
+  assert.strictEqual(phone('1005 W Burnside St, Portland, OR 97209-2902'), null);
+  assert.strictEqual(phone('Call +44 20 7946 0958'), '+44 20 7946 0958');
+  assert.strictEqual(phone('Tel. 503.228.4651'), '503.228.4651');
+});
+
+test('reads coordinates from map links', () => {
+  const coordinates = url => {
+    const result = AddressParser.extractCoordinatesFromUrl(url);
+    return result && [result.lat, result.lng];
+  };
+  assert.deepStrictEqual(coordinates('https://www.google.com/maps/place/Park/data=!4m5!3d45.52!4d-122.68'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://www.google.com/maps/@45.52,-122.68,15z'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://www.google.com/maps?q=45.52,-122.68'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://maps.google.com/?q=45.52,-122.68'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://maps.google.co.uk/maps?ll=51.5,-0.12&z=14'), [51.5, -0.12]);
+  assert.deepStrictEqual(coordinates('https://maps.apple.com/?ll=45.52,-122.68'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://www.openstreetmap.org/?mlat=45.52&mlon=-122.68#map=15/45.52/-122.68'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://www.openstreetmap.org/?mlon=-122.68&mlat=45.52&zoom=15'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://www.openstreetmap.org/#map=15/45.52/-122.68'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://www.bing.com/maps?cp=45.52~-122.68'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('https://waze.com/ul?ll=45.52,-122.68&navigate=yes'), [45.52, -122.68]);
+  assert.deepStrictEqual(coordinates('geo:45.52,-122.68'), [45.52, -122.68]);
+});
+
+test('ignores map links without usable coordinates', () => {
+  assert.strictEqual(AddressParser.extractCoordinatesFromUrl('https://maps.google.com/?q=300+Webster+St'), null);
+  assert.strictEqual(AddressParser.extractCoordinatesFromUrl('geo:0,0?q=300+Webster+St'), null);
+  assert.strictEqual(AddressParser.extractCoordinatesFromUrl('https://www.openstreetmap.org/?mlat=95&mlon=10'), null);
+  assert.strictEqual(AddressParser.extractCoordinatesFromUrl('https://example.com/?q=45.52,-122.68'), null);
+});
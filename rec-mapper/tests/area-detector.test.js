@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const AreaDetector = loadScripts(['area-detector.js']).get('AreaDetector');
+
+// Page with a single h1, as much of a document as fromHeadings reads
+function page(heading) {
+  return { title: '', querySelectorAll: () => [{ textContent: heading }] };
+}
+
+function detect(heading) {
+  const proposal = AreaDetector.fromHeadings(page(heading));
+  return proposal && { area: proposal.area, confident: proposal.confident };
+}
+
+test('fills in "City, ST" places named in a heading', () => {
+  assert.deepStrictEqual(detect('Parks in Portland, OR'), { area: 'Portland, OR', confident: true });
+  assert.deepStrictEqual(detect('Restaurants near Austin, Texas'), { area: 'Austin, Texas', confident: true });
+  assert.deepStrictEqual(detect('Best Parks In Portland, OR For Families'), { area: 'Portland, OR', confident: true });
+});
+
+test('only suggests a place without a region', () => {
+  assert.deepStrictEqual(detect('Things to do in New York City'), { area: 'New York City', confident: false });
+  assert.deepStrictEqual(detect('Best Coffee Shops In Seattle'), { area: 'Seattle', confident: false });
+});
+
+test('ignores capitalized phrases after "in" that are not places', () => {
+  [
+    'Sign In To Your Account',
+    'Log in With Facebook',
+    'Shop Sale Items In Store Now',
+    'Reviews In Google Maps',
+    'Sign In to continue',
+    'Events in March',
+    'Open in Maps'
+  ].forEach(heading => assert.strictEqual(detect(heading), null, heading));
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const AreaFilter = loadScripts(['route-planner.js', 'area-filter.js']).get('AreaFilter');
+
+const square = { type: 'polygon', points: [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 }] };
+const diamond = { type: 'polygon', points: [{ lat: 0, lng: 1 }, { lat: 1, lng: 2 }, { lat: 2, lng: 1 }, { lat: 1, lng: 0 }] };
+// An L shape, whose notch is outside
+const ell = { type: 'polygon', points: [{ lat: 0, lng: 0 }, { lat: 0, lng: 2 }, { lat: 1, lng: 2 }, { lat: 1, lng: 1 }, { lat: 2, lng: 1 }, { lat: 2, lng: 0 }] };
+
+test('finds points inside and outside a polygon', () => {
+  assert.strictEqual(AreaFilter.contains(square, 0.5, 0.5), true);
+  assert.strictEqual(AreaFilter.contains(square, 1.5, 0.5), false);
+  assert.strictEqual(AreaFilter.contains(ell, 0.5, 1.5), true);
+  assert.strictEqual(AreaFilter.contains(ell, 1.5, 1.5), false);
+});
+
+test('counts points on any edge of a polygon as inside', () => {
+  [[0, 0.5], [0.5, 1], [1, 0.5], [0.5, 0]].forEach(([lat, lng]) => {
+    assert.strictEqual(AreaFilter.contains(square, lat, lng), true, `${lat},${lng}`);
+  });
+  assert.strictEqual(AreaFilter.contains(diamond, 0.5, 1.5), true);
+  assert.strictEqual(AreaFilter.contains(ell, 1.5, 1), true);
+});
+
+test('counts corners as inside', () => {
+  square.points.forEach(point => assert.strictEqual(AreaFilter.contains(square, point.lat, point.lng), true));
+  assert.strictEqual(AreaFilter.contains(ell, 1, 1), true);
+});
+
+test('counts a ray through a vertex once', () => {
+  // Level with the diamond's left and right corners
+  assert.strictEqual(AreaFilter.contains(diamond, 1, 1), true);
+  assert.strictEqual(AreaFilter.contains(diamond, 1, -1), false);
+  assert.strictEqual(AreaFilter.contains(diamond, 1, 3), false);
+  // Level with the L's inner corner
+  assert.strictEqual(AreaFilter.contains(ell, 1, 0.5), true);
+  assert.strictEqual(AreaFilter.contains(ell, 1, 3), false);
+});
+
+test('tests rectangles and circles', () => {
+  const rectangle = { type: 'rectangle', bounds: { south: 0, west: 0, north: 1, east: 1 } };
+  assert.strictEqual(AreaFilter.contains(rectangle, 1, 1), true);
+  assert.strictEqual(AreaFilter.contains(rectangle, 1.01, 0.5), false);
+
+  const circle = { type: 'circle', center: { lat: 0, lng: 0 }, radiusKm: 10 };
+  assert.strictEqual(AreaFilter.contains(circle, 0, 0.08), true);
+  assert.strictEqual(AreaFilter.contains(circle, 0, 0.1), false);
+});
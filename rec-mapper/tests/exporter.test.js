@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const Exporter = loadScripts(['exporter.js']).get('Exporter');
+
+const record = {
+  name: '=HYPERLINK("http://evil.example","Click")',
+  address: '123 Main St, Portland, OR',
+  formattedAddress: '123 Main St, Portland, OR 97201',
+  lat: 45.52,
+  lng: -122.68,
+  matchQuality: 'Exact match',
+  phone: '+1 503-555-0134',
+  hours: '@all day',
+  manual: true,
+  sourceTitle: 'Parks'
+};
+
+test('keeps formula-like text from being evaluated in CSV', () => {
+  const [, row] = Exporter.toCSV([record]).split('\r\n');
+  assert.ok(row.startsWith(`"'=HYPERLINK(""http://evil.example"",""Click"")"`));
+  assert.ok(row.includes(',45.52,-122.68,'), 'coordinates stay numeric');
+  assert.ok(row.includes(`,'+1 503-555-0134,`));
+  assert.ok(row.includes(`,'@all day,`));
+});
+
+test('writes GPX waypoint elements in schema order', () => {
+  const gpx = Exporter.toGPX([record]);
+  const order = ['<name>', '<cmt>', '<desc>', '<src>'].map(tag => gpx.indexOf(tag));
+  assert.ok(order.every(index => index > 0));
+  assert.deepStrictEqual(order, [...order].sort((a, b) => a - b));
+});
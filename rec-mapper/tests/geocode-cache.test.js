@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * An in-memory stand-in for the geocodes object store, with the requests
+ * and cursors GeocodeCache uses
+ */
+function fakeStore() {
+  const records = new Map();
+  const request = produce => {
+    const req = {};
+    queueMicrotask(() => {
+      req.result = produce();
+      req.onsuccess();
+    });
+    return req;
+  };
+  const openCursor = field => {
+    const values = [...records.values()].sort((a, b) => a[field] - b[field] || a.key.localeCompare(b.key));
+    let index = 0;
+    const req = {};
+    const step = () => queueMicrotask(() => {
+      const value = values[index];
+      req.result = value && {
+        key: value[field],
+        value,
+        delete: () => records.delete(value.key),
+        continue: () => {
+          index++;
+          step();
+        }
+      };
+      req.onsuccess();
+    });
+    step();
+    return req;
+  };
+
+  return {
+    records,
+    get: key => request(() => records.get(key)),
+    put: record => request(() => records.set(record.key, { ...record })),
+    delete: key => request(() => records.delete(key)),
+    count: () => request(() => records.size),
+    index: field => ({ openCursor: () => openCursor(field) })
+  };
+}
+
+function setup(maxEntries = 10000) {
+  const context = loadScripts(['geocode-cache.js'], { crypto: globalThis.crypto });
+  const GeocodeCache = context.get('GeocodeCache');
+  const store = fakeStore();
+  const clock = { now: Date.UTC(2026, 5, 1) };
+
+  GeocodeCache.MAX_ENTRIES = maxEntries;
+  GeocodeCache.store = async () => store;
+  context.get('Date').now = () => clock.now;
+  return { GeocodeCache, store, clock };
+}
+
+const found = lat => ({ success: true, lat, lng: -123 });
+
+test('returns a result within its TTL', async () => {
+  const { GeocodeCache, clock } = setup();
+  await GeocodeCache.set('1 Elm St, Salem', 'nominatim', found(44.9));
+
+  clock.now += 29 * DAY;
+  assert.strictEqual((await GeocodeCache.get('  1 ELM St,   Salem ', 'nominatim', 30 * DAY)).lat, 44.9);
+  assert.strictEqual(await GeocodeCache.get('1 Elm St, Salem', 'google', 30 * DAY), null);
+});
+
+test('treats a result past its TTL as a miss and removes it', async () => {
+  const { GeocodeCache, store, clock } = setup();
+  await GeocodeCache.set('1 Elm St, Salem', 'nominatim', found(44.9));
+
+  clock.now += 31 * DAY;
+  assert.strictEqual(await GeocodeCache.get('1 Elm St, Salem', 'nominatim', 30 * DAY), null);
+  assert.strictEqual(store.records.size, 0);
+});
+
+test('keeps results of any age without a TTL', async () => {
+  const { GeocodeCache, clock } = setup();
+  await GeocodeCache.set('1 Elm St, Salem', 'nominatim', found(44.9));
+
+  clock.now += 1000 * DAY;
+  assert.strictEqual((await GeocodeCache.get('1 Elm St, Salem', 'nominatim')).lat, 44.9);
+});
+
+test('drops the least recently used results above MAX_ENTRIES', async () => {
+  const { GeocodeCache, store, clock } = setup(3);
+  for (const [address, lat] of [['1 Elm St', 1], ['2 Oak St', 2], ['3 Ash St', 3]]) {
+    clock.now += 1000;
+    await GeocodeCache.set(address, 'nominatim', found(lat));
+  }
+
+  // Reading the oldest makes it the most recently used
+  clock.now += 1000;
+  await GeocodeCache.get('1 Elm St', 'nominatim');
+  clock.now += 1000;
+  await GeocodeCache.set('4 Fir St', 'nominatim', found(4));
+
+  assert.strictEqual(store.records.size, 3);
+  assert.deepStrictEqual([...store.records.values()].map(record => record.address).sort(),
+    ['1 elm st', '3 ash st', '4 fir st']);
+});
+
+test('drops several results at once when far above MAX_ENTRIES', async () => {
+  const { GeocodeCache, store, clock } = setup(5);
+  for (let i = 1; i <= 5; i++) {
+    clock.now += 1000;
+    await GeocodeCache.set(`${i} Elm St`, 'nominatim', found(i));
+  }
+
+  GeocodeCache.MAX_ENTRIES = 2;
+  await GeocodeCache.prune();
+  assert.deepStrictEqual([...store.records.values()].map(record => record.address).sort(),
+    ['4 elm st', '5 elm st']);
+});
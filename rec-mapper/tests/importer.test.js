@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const Importer = loadScripts(['importer.js']).get('Importer');
+
+test('keeps pasted addresses with commas on one line each', () => {
+  const text = '123 Main St, Springfield, IL\n456 Oak Ave, Springfield, IL\n789 Elm St, Decatur, IL';
+  assert.strictEqual(Importer.detectDelimiter(text), null);
+
+  const { rows } = Importer.parse(text);
+  assert.deepStrictEqual(Array.from(rows, row => [...row]), [
+    ['123 Main St, Springfield, IL'],
+    ['456 Oak Ave, Springfield, IL'],
+    ['789 Elm St, Decatur, IL']
+  ]);
+  assert.strictEqual(Importer.parse('Portland, OR\nSalem, OR').delimiter, null);
+});
+
+test('splits CSV with a known header or coordinate columns', () => {
+  assert.strictEqual(Importer.detectDelimiter('Name,Address\nJoe\'s,"123 Main St, Springfield, IL"'), ',');
+  assert.strictEqual(Importer.detectDelimiter('Joe\'s,45.52,-122.68\nAl\'s,45.51,-122.66'), ',');
+  assert.strictEqual(Importer.detectDelimiter('Joe\'s,https://joes.example\nAl\'s,https://als.example'), ',');
+});
+
+test('splits tab, semicolon and pipe separated text', () => {
+  assert.strictEqual(Importer.detectDelimiter('Joe\'s\t123 Main St, Springfield\nAl\'s\t9 Elm St, Decatur'), '\t');
+  assert.strictEqual(Importer.detectDelimiter('Joe\'s;123 Main St\nAl\'s;9 Elm St'), ';');
+});
@@ -0,0 +1,26 @@
+/**
+ * Load extension scripts, which declare globals instead of exporting, into a
+ * shared context for tests. Run the suite with: node --test tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * @param {string[]} files - Script paths relative to the extension root, in load order
+ * @param {object} globals - Extra globals such as window or chrome
+ * @returns {object} the context; read a script's global with get(name)
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ URL, URLSearchParams, TextEncoder, console, setTimeout, clearTimeout, ...globals });
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+  // Top-level const declarations are only reachable from code run in the context
+  context.get = name => vm.runInContext(name, context);
+  return context;
+}
+
+module.exports = { loadScripts };
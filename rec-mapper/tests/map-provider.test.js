@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const MapProvider = loadScripts(['map-provider.js']).get('MapProvider');
+
+test('links only http and https websites', () => {
+  assert.strictEqual(MapProvider.isWebUrl('https://example.com/parks'), true);
+  assert.strictEqual(MapProvider.isWebUrl('http://example.com'), true);
+  assert.strictEqual(MapProvider.isWebUrl('javascript:alert(1)'), false);
+  assert.strictEqual(MapProvider.isWebUrl('data:text/html,<script>alert(1)</script>'), false);
+  assert.strictEqual(MapProvider.isWebUrl('example.com'), false);
+  assert.strictEqual(MapProvider.isWebUrl(''), false);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const Paginator = loadScripts(['paginator.js']).get('Paginator');
+
+test('increments a page number already in the URL', () => {
+  assert.strictEqual(Paginator.incrementPageNumber('https://example.com/parks?page=2&sort=az'), 'https://example.com/parks?page=3&sort=az');
+  assert.strictEqual(Paginator.incrementPageNumber('https://example.com/parks?pg=9'), 'https://example.com/parks?pg=10');
+  assert.strictEqual(Paginator.incrementPageNumber('https://example.com/parks/page/4/'), 'https://example.com/parks/page/5/');
+});
+
+test('does not invent a page number', () => {
+  assert.strictEqual(Paginator.incrementPageNumber('https://example.com/parks'), null);
+  assert.strictEqual(Paginator.incrementPageNumber('https://example.com/parks?sort=az'), null);
+  assert.strictEqual(Paginator.incrementPageNumber('https://example.com/parks?page=last'), null);
+  assert.strictEqual(Paginator.incrementPageNumber('not a url'), null);
+});
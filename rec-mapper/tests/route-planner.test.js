@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const RoutePlanner = loadScripts(['route-planner.js']).get('RoutePlanner');
+
+// Points along the equator, one degree (about 111 km) apart
+const line = count => Array.from({ length: count }, (_, i) => ({ lat: 0, lng: i }));
+
+test('2-opt uncrosses a path', () => {
+  const points = line(5);
+  const matrix = RoutePlanner.buildDistanceMatrix(points);
+  const crossed = [0, 3, 2, 1, 4];
+  const before = RoutePlanner.pathDistance(crossed, matrix, 5);
+
+  const order = [...RoutePlanner.twoOpt([...crossed], matrix, 5)];
+  assert.deepStrictEqual(order, [0, 1, 2, 3, 4]);
+  assert.ok(RoutePlanner.pathDistance(order, matrix, 5) < before);
+});
+
+test('2-opt keeps the start and shortens a greedy tour', () => {
+  // Nearest neighbour from the middle goes one way, then has to double back
+  const points = [2, 1, 3, 0, 5, 4].map(lng => ({ lat: 0, lng }));
+  const matrix = RoutePlanner.buildDistanceMatrix(points);
+  const greedy = RoutePlanner.nearestNeighbour(matrix, 6, 0);
+  const { order, distance } = RoutePlanner.plan(points, 0);
+
+  assert.strictEqual(order[0], 0);
+  assert.deepStrictEqual([...order].sort(), [0, 1, 2, 3, 4, 5]);
+  assert.ok(distance <= RoutePlanner.pathDistance(greedy, matrix, 6));
+});
+
+test('plans trivial routes', () => {
+  assert.deepStrictEqual([...RoutePlanner.plan([]).order], []);
+  assert.deepStrictEqual([...RoutePlanner.plan([{ lat: 1, lng: 1 }]).order], [0]);
+});
+
+test('fits 10 stops in one Google Maps directions URL', () => {
+  const legs = RoutePlanner.toGoogleMapsUrls(line(10));
+  assert.strictEqual(legs.length, 1);
+  assert.strictEqual(legs[0].from, 1);
+  assert.strictEqual(legs[0].to, 10);
+
+  const params = new URL(legs[0].url).searchParams;
+  assert.strictEqual(params.get('origin'), '0.000000,0.000000');
+  assert.strictEqual(params.get('destination'), '0.000000,9.000000');
+  assert.strictEqual(params.get('waypoints').split('|').length, 8);
+});
+
+test('splits longer routes into legs that share their end stops', () => {
+  const legs = RoutePlanner.toGoogleMapsUrls(line(11));
+  assert.deepStrictEqual(Array.from(legs, leg => [leg.from, leg.to]), [[1, 10], [10, 11]]);
+
+  const second = new URL(legs[1].url).searchParams;
+  assert.strictEqual(second.get('origin'), '0.000000,9.000000');
+  assert.strictEqual(second.get('waypoints'), null);
+
+  assert.deepStrictEqual(Array.from(RoutePlanner.toGoogleMapsUrls(line(19)), leg => [leg.from, leg.to]), [[1, 10], [10, 19]]);
+  assert.deepStrictEqual([...RoutePlanner.toGoogleMapsUrls(line(1))], []);
+});
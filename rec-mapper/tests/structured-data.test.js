@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const StructuredData = loadScripts(['structured-data.js']).get('StructuredData');
+
+/**
+ * A tiny element tree with the "[attribute]" selectors StructuredData uses.
+ * Children are elements or text strings.
+ */
+function el(tag, attributes = {}, ...children) {
+  const has = selector => selector.slice(1, -1) in attributes;
+  const element = {
+    tagName: tag.toUpperCase(),
+    parentElement: null,
+    children: children.filter(child => typeof child !== 'string'),
+    getAttribute: name => (name in attributes ? attributes[name] : null),
+    hasAttribute: name => name in attributes,
+    matches: has,
+    closest(selector) {
+      let node = this;
+      while (node && !node.matches(selector)) node = node.parentElement;
+      return node;
+    },
+    contains(other) {
+      for (let node = other; node; node = node.parentElement) {
+        if (node === this) return true;
+      }
+      return false;
+    },
+    querySelectorAll(selector) {
+      const found = [];
+      const walk = node => node.children.forEach(child => {
+        if (child.matches(selector)) found.push(child);
+        walk(child);
+      });
+      walk(this);
+      return found;
+    },
+    querySelector(selector) {
+      return this.querySelectorAll(selector)[0] || null;
+    },
+    get textContent() {
+      return children.map(child => (typeof child === 'string' ? child : child.textContent)).join('');
+    }
+  };
+  element.children.forEach(child => {
+    child.parentElement = element;
+  });
+  return element;
+}
+
+const schema = type => ({ itemscope: '', itemtype: `https://schema.org/${type}` });
+
+const postalAddress = (street, city) => el('div', { itemprop: 'address', ...schema('PostalAddress') },
+  el('span', { itemprop: 'streetAddress' }, street),
+  el('span', { itemprop: 'addressLocality' }, city));
+
+const card = text => el('div', { class: 'card' }, el('p', {}, text));
+
+// A directory page whose <body> describes the site's own organization
+function directoryPage(cards) {
+  return el('body', schema('Organization'),
+    el('span', { itemprop: 'name' }, 'Park Directory'),
+    ...cards,
+    el('footer', {}, postalAddress('99 Office Rd', 'Eugene')));
+}
+
+test('ignores a page-level itemscope around every matched card', () => {
+  const cards = [card('1 Elm St, Salem'), card('2 Oak St, Bend'), card('3 Ash St, Albany')];
+  directoryPage(cards);
+  cards.forEach(element => assert.strictEqual(StructuredData.findForElement(element, cards), null));
+});
+
+test('ignores a page-level itemscope for cards loaded later', () => {
+  const earlier = [card('1 Elm St, Salem'), card('2 Oak St, Bend')];
+  const loaded = card('3 Ash St, Albany');
+  directoryPage([...earlier, loaded]);
+  assert.strictEqual(StructuredData.findForElement(loaded, [...earlier, loaded]), null);
+});
+
+test('uses the card\'s own itemscope inside a page-level one', () => {
+  const business = el('div', { class: 'card', ...schema('LocalBusiness') },
+    el('span', { itemprop: 'name' }, 'Oak Park'),
+    postalAddress('2 Oak St', 'Bend'));
+  const cards = [card('1 Elm St, Salem'), business];
+  directoryPage(cards);
+
+  const entity = StructuredData.findForElement(business, cards);
+  assert.strictEqual(entity.name, 'Oak Park');
+  assert.strictEqual(entity.address, '2 Oak St, Bend');
+  assert.strictEqual(entity.element, business);
+});
+
+test('uses an ancestor itemscope that wraps only this card', () => {
+  const inner = card('Elm Park');
+  const wrapper = el('li', schema('Park'), el('span', { itemprop: 'name' }, 'Elm Park'), postalAddress('1 Elm St', 'Salem'), inner);
+  const other = card('Oak Park');
+  directoryPage([wrapper, other]);
+
+  const entity = StructuredData.findForElement(inner, [inner, other]);
+  assert.strictEqual(entity.address, '1 Elm St, Salem');
+  assert.strictEqual(entity.element, wrapper);
+});
+
+test('falls back to an enclosing itemscope for a lone element', () => {
+  const lone = card('Contact us');
+  directoryPage([lone]);
+  assert.strictEqual(StructuredData.findForElement(lone).address, '99 Office Rd, Eugene');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+const context = loadScripts(['address-parser.js', 'table-extractor.js']);
+const TableExtractor = context.get('TableExtractor');
+// The fake cells below carry their text directly
+context.get('AddressParser').extractText = cell => cell.textContent;
+
+/**
+ * Just enough of an HTML table for TableExtractor. A cell is a string or
+ * { text, colspan, th, href }; header cells are <th>, the rest <td>.
+ */
+function buildTable({ head = [], body = [], foot = [] }) {
+  const table = { rows: [], tHead: null, tFoot: null };
+  const section = (rows, headerCells) => {
+    const element = { rows: [] };
+    rows.forEach(cells => {
+      const row = { parentElement: element, cells: cells.map(cell => buildCell(cell, headerCells)) };
+      element.rows.push(row);
+      table.rows.push(row);
+    });
+    return element;
+  };
+  if (head.length > 0) table.tHead = section(head, true);
+  section(body, false);
+  if (foot.length > 0) table.tFoot = section(foot, false);
+  return table;
+}
+
+function buildCell(cell, header) {
+  const { text = '', colspan, th = header, href } = typeof cell === 'string' ? { text: cell } : cell;
+  return {
+    tagName: th ? 'TH' : 'TD',
+    textContent: text,
+    getAttribute: name => (name === 'colspan' && colspan ? String(colspan) : null),
+    querySelector: () => (href ? { href } : null)
+  };
+}
+
+const CLUBS = [
+  ['Elm Club', '1 Elm St', 'Salem', 'OR'],
+  ['Oak Club', '2 Oak St', 'Eugene', 'OR'],
+  ['Ash Club', '3 Ash St', 'Bend', 'OR']
+];
+
+test('takes the header from <thead>', () => {
+  const table = buildTable({ head: [['Name', 'Street', 'City', 'State']], body: CLUBS });
+  const { headers, bodyRows, samples } = TableExtractor.describe(table);
+  assert.deepStrictEqual([...headers], ['Name', 'Street', 'City', 'State']);
+  assert.strictEqual(bodyRows.length, 3);
+  assert.deepStrictEqual([...samples], ['Elm Club', '1 Elm St', 'Salem', 'OR']);
+  assert.deepStrictEqual([...TableExtractor.guessRoles(headers)], ['name', 'street', 'city', 'state']);
+});
+
+test('takes the header from a leading row of <th> cells', () => {
+  const header = ['Name', 'Address', 'Town', 'Region'].map(text => ({ text, th: true }));
+  const { headerRow, headers, bodyRows } = TableExtractor.describe(buildTable({ body: [header, ...CLUBS] }));
+  assert.ok(headerRow);
+  assert.deepStrictEqual([...headers], ['Name', 'Address', 'Town', 'Region']);
+  assert.strictEqual(bodyRows.length, 3);
+});
+
+test('names columns when there is no header', () => {
+  const { headerRow, headers, bodyRows } = TableExtractor.describe(buildTable({ body: CLUBS }));
+  assert.strictEqual(headerRow, null);
+  assert.deepStrictEqual([...headers], ['Column 1', 'Column 2', 'Column 3', 'Column 4']);
+  assert.strictEqual(bodyRows.length, 3);
+});
+
+test('skips title rows spanning the table and the footer', () => {
+  const table = buildTable({
+    head: [['Name', 'Street', 'City', 'State']],
+    body: [[{ text: 'Willamette Valley', colspan: 4 }], ...CLUBS],
+    foot: [['Total', '3 clubs', '', '']]
+  });
+  const { bodyRows } = TableExtractor.describe(table);
+  assert.deepStrictEqual(Array.from(bodyRows, row => row.cells[0].textContent), ['Elm Club', 'Oak Club', 'Ash Club']);
+});
+
+test('repeats colspan cells so columns stay aligned', () => {
+  const row = buildTable({ body: [['Elm Club', { text: '1 Elm St, Salem', colspan: 2 }, 'OR']] }).rows[0];
+  assert.deepStrictEqual([...TableExtractor.getCellTexts(row)], ['Elm Club', '1 Elm St, Salem', '1 Elm St, Salem', 'OR']);
+  assert.strictEqual(TableExtractor.getCellAt(row, 2).textContent, '1 Elm St, Salem');
+  assert.strictEqual(TableExtractor.getCellAt(row, 3).textContent, 'OR');
+  assert.strictEqual(TableExtractor.getCellAt(row, 4), null);
+});
+
+test('lines colspan headers up with their columns', () => {
+  const table = buildTable({ head: [['Name', { text: 'Location', colspan: 2 }, 'State']], body: CLUBS });
+  assert.deepStrictEqual([...TableExtractor.describe(table).headers], ['Name', 'Location', 'Location', 'State']);
+});
+
+test('recognizes data tables but not layout tables', () => {
+  assert.strictEqual(TableExtractor.isDataTable(buildTable({ body: CLUBS })), true);
+  assert.strictEqual(TableExtractor.isDataTable(buildTable({ body: CLUBS.slice(0, 2) })), false);
+  assert.strictEqual(TableExtractor.isDataTable(buildTable({ body: [['Menu'], ['Content'], ['Footer']] })), false);
+});
+
+test('joins the mapped columns into a query and keeps the fields', () => {
+  const table = buildTable({
+    head: [['Name', 'Street', 'City', 'State', 'Website']],
+    body: CLUBS.map(club => [...club, { text: 'Visit', href: `https://example.com/${club[0][0]}` }])
+  });
+  const items = TableExtractor.extract(table, ['name', 'street', 'city', 'state', 'website']);
+  assert.strictEqual(items.length, 3);
+  assert.strictEqual(items[0].address, '1 Elm St, Salem, OR');
+  assert.strictEqual(items[0].fields.name, 'Elm Club');
+  assert.strictEqual(items[0].fields.website, 'https://example.com/E');
+  assert.strictEqual(items[0].addressParts.locality, 'Salem');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-script');
+
+/**
+ * A ledger running as the service worker, over an in-memory chrome.storage.local
+ */
+function setup(items = {}) {
+  const local = {
+    items,
+    async get(key) {
+      return key in this.items ? { [key]: structuredClone(this.items[key]) } : {};
+    },
+    async set(values) {
+      Object.assign(this.items, structuredClone(values));
+    }
+  };
+  const UsageLedger = loadScripts(['usage-ledger.js'], { chrome: { storage: { local } } }).get('UsageLedger');
+  return { UsageLedger, local };
+}
+
+const networkToday = (UsageLedger, local, provider) =>
+  local.items.geocodeUsage.days[UsageLedger.dayKey()][provider].network;
+
+test('counts reservations up to the budget, then reports it reached', async () => {
+  const { UsageLedger, local } = setup({ geocodeBudgets: { google: 2 } });
+
+  assert.strictEqual(await UsageLedger.reserve('google'), null);
+  assert.strictEqual(await UsageLedger.reserve('google'), null);
+  assert.deepStrictEqual({ ...await UsageLedger.reserve('google') }, { provider: 'google', limit: 2, used: 2 });
+  assert.strictEqual(networkToday(UsageLedger, local, 'google'), 2);
+});
+
+test('counts a reservation past the budget once allowed', async () => {
+  const { UsageLedger, local } = setup({ geocodeBudgets: { google: 1 } });
+
+  await UsageLedger.reserve('google');
+  assert.strictEqual(await UsageLedger.reserve('google', true), null);
+  assert.strictEqual(networkToday(UsageLedger, local, 'google'), 2);
+});
+
+test('gives only one of several parallel reservations the last request', async () => {
+  const { UsageLedger, local } = setup({ geocodeBudgets: { google: 3 } });
+  await UsageLedger.reserve('google');
+  await UsageLedger.reserve('google');
+
+  const results = await Promise.all([1, 2, 3, 4].map(() => UsageLedger.reserve('google')));
+  assert.strictEqual(results.filter(result => result === null).length, 1);
+  assert.strictEqual(networkToday(UsageLedger, local, 'google'), 3);
+});
+
+test('counts earlier days of this month, not last month, toward the budget', async () => {
+  const now = new Date();
+  const { UsageLedger: calendar } = setup();
+  const days = {
+    [calendar.dayKey(new Date(now.getFullYear(), now.getMonth(), 1))]: { google: { network: 5, cached: 3 } },
+    [calendar.dayKey(new Date(now.getFullYear(), now.getMonth() - 1, 15))]: { google: { network: 50, cached: 0 } }
+  };
+  const { UsageLedger } = setup({ geocodeUsage: { days }, geocodeBudgets: { google: 6 } });
+
+  assert.strictEqual(await UsageLedger.reserve('google'), null);
+  assert.deepStrictEqual({ ...await UsageLedger.reserve('google') }, { provider: 'google', limit: 6, used: 6 });
+});
+
+test('ignores budgets for other providers and cached lookups', async () => {
+  const { UsageLedger } = setup({ geocodeBudgets: { google: 1 } });
+  await UsageLedger.record('nominatim', 'cached');
+  await UsageLedger.record('google', 'cached');
+
+  assert.strictEqual(await UsageLedger.reserve('nominatim'), null);
+  assert.strictEqual(await UsageLedger.reserve('google'), null);
+  assert.notStrictEqual(await UsageLedger.reserve('google'), null);
+});
+
+test('summarizes today and this month', () => {
+  const { UsageLedger } = setup();
+  const usage = {
+    days: {
+      '2026-03-01': { google: { network: 4, cached: 1 } },
+      '2026-03-09': { google: { network: 2, cached: 0 }, nominatim: { network: 1, cached: 7 } },
+      '2026-02-28': { google: { network: 90, cached: 0 } }
+    }
+  };
+
+  const summary = UsageLedger.summarize(usage, new Date(2026, 2, 9));
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(summary)), {
+    today: { google: { network: 2, cached: 0 }, nominatim: { network: 1, cached: 7 } },
+    month: { google: { network: 6, cached: 1 }, nominatim: { network: 1, cached: 7 } }
+  });
+});
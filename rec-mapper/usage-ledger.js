@@ -0,0 +1,150 @@
+/**
+ * Usage Ledger - Counts geocoding requests per provider and day, split into
+ * network requests (the ones a paid provider bills) and cache hits, and
+ * enforces optional monthly budgets on network requests.
+ *
+ * Counts are stored under geocodeUsage:
+ * { days: { 'YYYY-MM-DD': { [provider]: { network, cached } } } }
+ * and budgets under geocodeBudgets: { [provider]: requests per month }.
+ * The service worker is the only writer: pages send their counts to it by
+ * message, and it applies them one at a time, so parallel requests from
+ * several tabs and the geocoding job can't overwrite each other's counts or
+ * both take the last request in a budget.
+ */
+
+const UsageLedger = {
+  STORAGE_KEY: 'geocodeUsage',
+  BUDGETS_KEY: 'geocodeBudgets',
+
+  // Days of history kept, enough to compare this month with the last year
+  KEEP_DAYS: 400,
+
+  // Pending storage update; each one waits for the previous
+  queue: Promise.resolve(),
+
+  // Pages have a window; the service worker, which keeps the counts, doesn't
+  isWriter: typeof window === 'undefined',
+
+  /**
+   * Count a request
+   * @param {string} provider - Geocoder provider id
+   * @param {string} kind - 'network' or 'cached'
+   */
+  record(provider, kind) {
+    if (!this.isWriter) {
+      return chrome.runtime.sendMessage({ action: 'recordUsage', provider, kind });
+    }
+    return this.update(usage => {
+      this.add(usage, provider, kind);
+    });
+  },
+
+  /**
+   * Count a network request about to be sent, unless it would go past the
+   * provider's monthly budget
+   * @param {string} provider - Geocoder provider id
+   * @param {boolean} allowOverBudget - Send it anyway, once the user has agreed to
+   * @returns {Promise<{ provider, limit, used } | null>} the budget reached, or null if counted
+   */
+  reserve(provider, allowOverBudget = false) {
+    if (!this.isWriter) {
+      return chrome.runtime.sendMessage({ action: 'reserveUsage', provider, allowOverBudget })
+        .then(response => response?.overBudget ?? null);
+    }
+    return this.update(async usage => {
+      const limit = (await this.getBudgets())[provider];
+      const used = this.summarize(usage).month[provider]?.network || 0;
+      if (limit > 0 && used >= limit && !allowOverBudget) {
+        return { provider, limit, used };
+      }
+      this.add(usage, provider, 'network');
+      return null;
+    });
+  },
+
+  /**
+   * Run a change to the stored counts after any earlier one has finished
+   * @param {function(object): *} change - Edits usage in place; its return value is passed on
+   */
+  update(change) {
+    const run = this.queue.then(async () => {
+      const usage = await this.load();
+      const result = await change(usage);
+      this.prune(usage);
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: usage });
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  },
+
+  add(usage, provider, kind) {
+    const day = usage.days[this.dayKey()] = usage.days[this.dayKey()] || {};
+    const counts = day[provider] = day[provider] || { network: 0, cached: 0 };
+    counts[kind]++;
+  },
+
+  async load() {
+    const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+    return stored[this.STORAGE_KEY] || { days: {} };
+  },
+
+  prune(usage) {
+    const oldest = this.dayKey(new Date(Date.now() - this.KEEP_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(usage.days).forEach(day => {
+      if (day < oldest) delete usage.days[day];
+    });
+  },
+
+  /**
+   * Counts per provider for today and this calendar month
+   * @returns {{ today: object, month: object }} each { [provider]: { network, cached } }
+   */
+  summarize(usage, date = new Date()) {
+    const today = this.dayKey(date);
+    const summary = { today: {}, month: {} };
+
+    Object.entries(usage.days).forEach(([day, providers]) => {
+      const periods = [day === today && summary.today, day.slice(0, 7) === today.slice(0, 7) && summary.month];
+      periods.filter(Boolean).forEach(period => {
+        Object.entries(providers).forEach(([provider, counts]) => {
+          const total = period[provider] = period[provider] || { network: 0, cached: 0 };
+          total.network += counts.network;
+          total.cached += counts.cached;
+        });
+      });
+    });
+    return summary;
+  },
+
+  async getBudgets() {
+    const stored = await chrome.storage.local.get(this.BUDGETS_KEY);
+    return stored[this.BUDGETS_KEY] || {};
+  },
+
+  /**
+   * Set a provider's monthly budget; an empty or zero limit removes it
+   */
+  async setBudget(provider, limit) {
+    const budgets = await this.getBudgets();
+    if (limit > 0) {
+      budgets[provider] = limit;
+    } else {
+      delete budgets[provider];
+    }
+    await chrome.storage.local.set({ [this.BUDGETS_KEY]: budgets });
+  },
+
+  /**
+   * Local date as YYYY-MM-DD, so days and months follow the user's calendar
+   */
+  dayKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+};
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.UsageLedger = UsageLedger;
+}